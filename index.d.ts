@@ -3,7 +3,7 @@ import type { Buffer } from 'node:buffer';
 
 export type BrainModel = Record<string, unknown>;
 
-export type ToolExecute = (args: any) => any | Promise<any>;
+export type ToolExecute = (args: any, options: { signal?: AbortSignal }) => any | Promise<any>;
 
 export type ToyDefinition = {
   inputSchema?: ZodTypeAny;
@@ -14,19 +14,301 @@ export type ToyDefinition = {
 
 export type Toys = Record<string, ToyDefinition>;
 
+export type KimtenToolCallEvent = {
+  name?: string;
+  step: number;
+  toolName: string;
+  toolCallId?: string;
+  args: unknown;
+};
+
+export type KimtenToolResultEvent = KimtenToolCallEvent & {
+  result: unknown;
+  durationMs: number;
+};
+
+export type KimtenStepFinishEvent = {
+  name?: string;
+  brain: BrainInfo;
+  step: number;
+  finishReason: string;
+  text: string;
+  usage: KimtenUsage;
+  toolCalls: Array<{ toolName: string; toolCallId: string; args: unknown }>;
+  toolResults: Array<{ toolName: string; toolCallId: string; result: unknown }>;
+};
+
+export type KimtenFinishEvent = {
+  name?: string;
+  brain: BrainInfo;
+  output: unknown;
+  text: string;
+  finishReason: string;
+  usage: KimtenUsage;
+  totalUsage: KimtenUsage;
+  stepCount: number;
+};
+
+export type KimtenErrorEvent = {
+  name?: string;
+  brain?: BrainInfo;
+  step?: number;
+  /** Set when a background summary update failed; the play itself succeeded. */
+  summary?: boolean;
+  error: unknown;
+};
+
+export type KimtenHooks = {
+  onStepFinish?: (event: KimtenStepFinishEvent) => unknown;
+  onToolCall?: (event: KimtenToolCallEvent) => unknown;
+  onToolResult?: (event: KimtenToolResultEvent) => unknown;
+  onFinish?: (event: KimtenFinishEvent) => unknown;
+  onError?: (event: KimtenErrorEvent) => unknown;
+};
+
+export type KimtenRetryConfig = {
+  attempts?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  retryOn?: (error: unknown) => boolean;
+  replayToys?: boolean;
+};
+
+export declare class KimtenRetryError extends Error {
+  readonly name: 'KimtenRetryError';
+  readonly attempts: number;
+  readonly cause: unknown;
+  constructor(cause: unknown, attempts: number);
+}
+
+export declare class KimtenFallbackError extends Error {
+  readonly name: 'KimtenFallbackError';
+  readonly errors: unknown[];
+  readonly cause: unknown;
+  constructor(errors: unknown[]);
+}
+
+export declare class KimtenBudgetError extends Error {
+  readonly name: 'KimtenBudgetError';
+  readonly budget: 'maxTotalTokens' | 'maxPlays' | 'maxToolCalls' | 'maxTokens';
+  readonly limit: number;
+  readonly used: number;
+  constructor(budget: string, limit: number, used: number);
+}
+
+export type KimtenBudget = {
+  maxTotalTokens?: number;
+  maxPlays?: number;
+  maxToolCalls?: number;
+};
+
+export declare function isTransientError(error: unknown): boolean;
+
+export type ModelPrice = {
+  /** Price per 1K input tokens. */
+  input?: number;
+  /** Price per 1K output tokens. */
+  output?: number;
+};
+
+export type KimtenTokenTotals = {
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+};
+
+export type KimtenStats = KimtenTokenTotals & {
+  name: string | undefined;
+  plays: number;
+  failures: number;
+  toyCalls: Record<string, number>;
+  models: Record<string, KimtenTokenTotals>;
+  cost?: { total: number; models: Record<string, number>; unpriced: string[] };
+};
+
+export type KimtenSessionsConfig = {
+  /** Max sessions kept; the least recently used idle one is evicted first (default: 1000). */
+  max?: number;
+  /** Evict sessions idle for longer than this. */
+  ttlMs?: number;
+};
+
+export type MemoryMessage = {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: any;
+};
+
+export type MemoryStore = {
+  add(session: string, messages: MemoryMessage[]): Promise<void> | void;
+  list(session: string): Promise<MemoryMessage[]> | MemoryMessage[];
+  /** Clear one session, or every session when `session` is omitted. */
+  clear(session?: string): Promise<void> | void;
+  /** Drop all but the newest `limit` messages of a session. */
+  trim?(session: string, limit: number): Promise<void> | void;
+};
+
+export type MemoryWindowOptions = {
+  store?: MemoryStore | null;
+  /** Keep tool calls and tool results of each turn, not just the final reply (default: false). */
+  includeToolSteps?: boolean;
+  /** Max messages kept (default: 10). */
+  maxMessages?: number;
+  /** Max estimated tokens kept. */
+  maxTokens?: number;
+  /** Token estimate for a piece of text (default: ~4 characters per token). */
+  estimator?: (text: string) => number;
+};
+
+export declare function createJsonlStore(options: { dir: string }): Required<MemoryStore>;
+
+export type RedactConfig = {
+  /** Keep the built-in sensitive key list (default: true). */
+  defaults?: boolean;
+  /** Extra sensitive keys; strings match case- and separator-insensitively. */
+  keys?: Array<string | RegExp>;
+  /** Value detectors (default: all built-ins; `false` turns them off). */
+  values?: boolean | Array<'jwt' | 'bearer' | 'cloudKeys' | 'cards' | RegExp>;
+  /** Keys (or dotted paths) never redacted. */
+  allow?: Array<string | RegExp>;
+  /** Applied last to every property; return the value to keep (`undefined` drops it). */
+  redactor?: (key: string, value: unknown, path: string[]) => unknown;
+};
+
+/** Redact values for your own logs with the same rules as the `redact` config. */
+export declare function createRedactor(redact?: boolean | RedactConfig): (value: unknown) => unknown;
+
+export type MemorySnapshot = {
+  type: 'kimten.memory';
+  version: 1;
+  /** Messages per session id, oldest first. */
+  sessions: Record<string, MemoryMessage[]>;
+  /** Running summary per session id; present only when a session has one. */
+  summaries?: Record<string, string>;
+};
+
+export type BrainInfo = {
+  index: number;
+  provider?: string;
+  modelId?: string;
+};
+
 export type KimtenConfig<S extends ZodTypeAny | undefined = undefined> = {
-  brain: BrainModel;
+  brain: BrainModel | [BrainModel, ...BrainModel[]];
   toys?: Toys;
   name?: string;
   personality?: string;
   hops?: number;
   box?: S;
+  /** How `box` is described in call prompts (default: `'compact'`); a function returns the whole hint. */
+  schemaHint?: 'compact' | 'jsonschema' | 'none' | ((schema: ZodTypeAny) => string);
+  /** Background context deep-merged under every call's context (call keys win); a function is called per call. */
+  context?:
+    | Record<string, unknown>
+    | (() => Record<string, unknown> | null | undefined | Promise<Record<string, unknown> | null | undefined>);
+  /** Built-in values added under the context of every call: ISO timestamp, local date, IANA time zone (`true` for all). */
+  contextBuiltins?: boolean | Array<'now' | 'today' | 'timezone'>;
+  /** Max characters of injected context (default: 4000); `priorities` lists keys or dotted paths kept longest. */
+  contextLimit?: number | { chars?: number; priorities?: string[] };
+  /** How context is written into call prompts (default: `'json'`); a function gets the redacted context and returns the text. */
+  contextFormat?: 'json' | 'yaml' | 'xml' | 'markdown' | ((context: Record<string, unknown>) => string);
+  /** What is masked in context and hook payloads (default: built-in keys and value detectors; `false` turns it off). */
+  redact?: boolean | RedactConfig;
+  /** Named input templates for `playTemplate()`: `'Summarize {{file}}'`, or `{ text, schema }` to validate the variables. */
+  templates?: Record<string, string | { text: string; schema?: ZodTypeAny }>;
+  hooks?: KimtenHooks;
+  retry?: KimtenRetryConfig;
+  /** Send `box` validation issues back to the model and try again. */
+  repair?: { attempts?: number };
+  budget?: KimtenBudget;
+  sessions?: KimtenSessionsConfig;
+  memory?: MemoryStore | MemoryWindowOptions;
+  /** Summarize turns evicted from memory (default: `true` when `summaryBrain` is set). */
+  summarize?: boolean;
+  /** Model used for summaries (default: the first brain). */
+  summaryBrain?: BrainModel;
+};
+
+export type PlayStreamEvent<Out = string> =
+  | { type: 'text'; text: string }
+  | { type: 'partial'; output: string extends Out ? never : DeepPartial<Out> };
+
+export type DeepPartial<T> = T extends object ? { [K in keyof T]?: DeepPartial<T[K]> } : T;
+
+export type PlayStream<Out = string, Result = Out> = AsyncIterable<PlayStreamEvent<Out>> & {
+  result: Promise<Result>;
+};
+
+export type PlayDetailedResult<Out = string> = {
+  output: Out;
+  text: string;
+  usage: KimtenUsage;
+  totalUsage: KimtenUsage;
+  finishReason: string;
+  steps: Array<Record<string, any>>;
+  toolCalls: Array<{ toolCallId: string; toolName: string; input: unknown; [key: string]: unknown }>;
+  toolResults: Array<{ toolCallId: string; toolName: string; input: unknown; output: unknown; [key: string]: unknown }>;
+  brain: BrainInfo;
+  /** `play()` with `box` only: every structured-output attempt, the accepted one last. */
+  attempts?: Array<{ text: string; issues: string[] }>;
+  /** Only when context was passed: paths shortened or dropped to fit `contextLimit`. */
+  contextElided?: string[];
+};
+
+export type KimtenUsage = {
+  inputTokens: number | undefined;
+  outputTokens: number | undefined;
+  totalTokens: number | undefined;
+  [key: string]: unknown;
 };
 
 export type KimtenAgent<Out = string> = {
   name?: string;
+  play(
+    input: string,
+    context: Record<string, unknown> | null | undefined,
+    options: PlayOptions & { detailed: true }
+  ): Promise<PlayDetailedResult<Out>>;
   play(input: string, context?: Record<string, unknown> | null, options?: PlayOptions): Promise<Out>;
-  forget(): void;
+  playStream(
+    input: string,
+    context: Record<string, unknown> | null | undefined,
+    options: PlayOptions & { detailed: true }
+  ): PlayStream<Out, PlayDetailedResult<Out>>;
+  playStream(input: string, context?: Record<string, unknown> | null, options?: PlayOptions): PlayStream<Out>;
+  /** Render a configured template (variables must match its placeholders and schema) and play it. */
+  playTemplate(
+    name: string,
+    vars: Record<string, unknown>,
+    context: Record<string, unknown> | null | undefined,
+    options: PlayOptions & { detailed: true }
+  ): Promise<PlayDetailedResult<Out>>;
+  playTemplate(
+    name: string,
+    vars: Record<string, unknown>,
+    context?: Record<string, unknown> | null,
+    options?: PlayOptions
+  ): Promise<Out>;
+  /**
+   * Clear memory of one session, or of all sessions, once the calls queued on them have settled.
+   * Breaking change from 1.0, where it returned nothing.
+   */
+  forget(options?: { resetStats?: boolean }): Promise<void>;
+  forget(session: string, options?: { resetStats?: boolean }): Promise<void>;
+  /** Remove the newest turn of a session; resolves to whether one was removed. */
+  undo(session?: string): Promise<boolean>;
+  /** Re-run the newest user input of a session and replace its reply. */
+  retry(options: RetryOptions & { detailed: true }): Promise<PlayDetailedResult<Out>>;
+  retry(options?: RetryOptions): Promise<Out>;
+  stats(options?: { prices?: Record<string, ModelPrice> }): KimtenStats;
+  snapshot(session?: string): Promise<MemorySnapshot>;
+  /** Replace the memory of each session in `snapshot`, once the calls queued on it have settled. */
+  restore(snapshot: MemorySnapshot): Promise<void>;
+  /** New instance with a copy of this one's memory and the same config, except for `overrides`. */
+  fork<S extends ZodTypeAny>(
+    overrides: Omit<KimtenConfig<S>, 'brain' | 'box'> & { brain?: KimtenConfig['brain']; box: S },
+    options?: ForkOptions
+  ): Promise<KimtenAgent<ZodInfer<S>>>;
+  fork(overrides?: Partial<Omit<KimtenConfig, 'box'>>, options?: ForkOptions): Promise<KimtenAgent<Out>>;
 };
 
 export type KimtenAttachmentSource = string | URL | Buffer | Uint8Array | ArrayBuffer;
@@ -44,12 +326,30 @@ export type KimtenAttachment =
       filename?: string;
     };
 
+export type ForkOptions = {
+  /** Sessions to copy (default: every open session); read from a custom store when not open. */
+  copy?: string[];
+};
+
+export type RetryOptions = PlayOptions & {
+  /** Reuse the original context and attachments of the retried input (default: false). */
+  reuseContext?: boolean;
+};
+
 export type PlayOptions = {
   attachments?: KimtenAttachment[];
   temperature?: number;
   topP?: number;
   topK?: number;
   maxOutputTokens?: number;
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  detailed?: boolean;
+  hooks?: KimtenHooks;
+  /** Token budget for this call, across all steps and attempts. */
+  maxTokens?: number;
+  /** Conversation id; each session has its own memory and queue (default: `'default'`). */
+  session?: string;
 };
 
 export declare function Kimten<S extends ZodTypeAny | undefined = undefined>(
@@ -4,6 +4,18 @@
  * Public entrypoint for Kimten.
  */
 import { Kimten } from './lib/kimten.js';
+import { KimtenBudgetError, KimtenFallbackError, KimtenRetryError } from './lib/errors.js';
+import { isTransientError } from './lib/retry.js';
+import { createJsonlStore } from './lib/jsonl-store.js';
+import { createRedactor } from './lib/redact.js';
 
-export { Kimten };
+export {
+  Kimten,
+  KimtenBudgetError,
+  KimtenFallbackError,
+  KimtenRetryError,
+  createJsonlStore,
+  createRedactor,
+  isTransientError,
+};
 export default Kimten;
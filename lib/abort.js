@@ -0,0 +1,64 @@
+/**
+ * Combine an optional caller signal and an optional timeout into one signal.
+ *
+ * The timeout uses a regular (ref'd) timer so a stalled call still reaches its
+ * deadline; call `dispose()` once the call settles to clear it.
+ *
+ * @param {AbortSignal | undefined} signal
+ * @param {number | undefined} timeoutMs
+ * @returns {{ signal: AbortSignal | undefined, dispose: () => void }}
+ */
+export function createCallSignal(signal, timeoutMs) {
+  if (timeoutMs === undefined) {
+    return { signal, dispose() {} };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException(`Kimten call timed out after ${timeoutMs}ms.`, 'TimeoutError'));
+  }, timeoutMs);
+
+  return {
+    signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+    dispose() {
+      clearTimeout(timer);
+    },
+  };
+}
+
+/**
+ * Settle with `promise`, or reject as soon as `signal` aborts (whichever is first).
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal | undefined} signal
+ * @returns {Promise<T>}
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      reject(signal.reason);
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
@@ -0,0 +1,267 @@
+import { NoObjectGeneratedError, Output, TypeValidationError, asSchema, jsonSchema } from 'ai';
+import { isPlainObject } from './guards.js';
+
+/**
+ * How a `box` schema is asked for and read back.
+ *
+ * Only objects go over the wire as-is: arrays, choices and other values are
+ * wrapped in an object (`envelope` names its single key), because providers
+ * expect a JSON object at the top level.
+ *
+ * @typedef {object} BoxShape
+ * @property {'object' | 'array' | 'choice' | 'value'} kind
+ * @property {'elements' | 'result' | 'value'} [envelope] Wrapper key for non-object kinds.
+ * @property {string[]} [options] Allowed strings, for `choice`.
+ */
+
+/**
+ * Zod type of one schema node, for Zod v3 (`_def.typeName`) and v4 (`_zod.def.type`).
+ *
+ * @param {any} schema
+ * @returns {{ typeName: string | undefined, type: string | undefined }}
+ */
+export function zodTypeOf(schema) {
+  return {
+    typeName: schema?._def?.typeName,
+    type: (typeof schema?._def?.type === 'string' ? schema._def.type : undefined) ?? schema?._zod?.def?.type,
+  };
+}
+
+/**
+ * What the wrappers around a schema node said about it.
+ *
+ * @typedef {object} PeeledSchema
+ * @property {any} schema The innermost node.
+ * @property {boolean} optional Wrapped in optional or default.
+ * @property {boolean} nullable Wrapped in nullable.
+ * @property {unknown} defaultValue Value of the outermost default, if any.
+ * @property {string | undefined} description Outermost `.describe()` text.
+ */
+
+function descriptionOf(schema) {
+  // Zod v4 keeps descriptions in a registry behind the `description` getter.
+  const description = schema?.description ?? schema?._def?.description;
+  return typeof description === 'string' && description.trim() !== '' ? description : undefined;
+}
+
+function defaultValueOf(schema) {
+  // Zod v3 stores a factory, Zod v4 the value itself.
+  const value = schema?._def?.defaultValue ?? schema?._zod?.def?.defaultValue;
+  return typeof value === 'function' ? value() : value;
+}
+
+/**
+ * Strip wrappers (optional, nullable, default, effects, pipes, ...) off a schema node,
+ * keeping track of optionality, nullability, defaults and descriptions on the way.
+ *
+ * @param {any} schema
+ * @returns {PeeledSchema}
+ */
+export function peelZodSchema(schema) {
+  // This uses Zod internals (`_def.typeName`) intentionally as a best-effort
+  // schema describer for prompt hints. It should stay tolerant to unknown nodes.
+  const peeled = { schema, optional: false, nullable: false, defaultValue: undefined, description: undefined };
+  let current = schema;
+  let guard = 0;
+  while (current && guard < 20) {
+    guard += 1;
+    peeled.description ??= descriptionOf(current);
+    const { typeName, type } = zodTypeOf(current);
+    if (typeName === 'ZodOptional' || type === 'optional') {
+      peeled.optional = true;
+    } else if (typeName === 'ZodNullable' || type === 'nullable') {
+      peeled.nullable = true;
+    } else if (typeName === 'ZodDefault' || type === 'default' || type === 'prefault') {
+      peeled.optional = true;
+      peeled.defaultValue ??= defaultValueOf(current);
+    }
+
+    if (
+      typeName === 'ZodOptional' ||
+      typeName === 'ZodNullable' ||
+      typeName === 'ZodDefault' ||
+      typeName === 'ZodBranded' ||
+      typeName === 'ZodReadonly' ||
+      typeName === 'ZodCatch' ||
+      type === 'optional' ||
+      type === 'nullable' ||
+      type === 'default' ||
+      type === 'prefault' ||
+      type === 'readonly' ||
+      type === 'catch'
+    ) {
+      current = current?._def?.innerType ?? current?._zod?.def?.innerType ?? current;
+      continue;
+    }
+    if (typeName === 'ZodEffects') {
+      current = current?._def?.schema ?? current?._zod?.def?.schema ?? current;
+      continue;
+    }
+    if (typeName === 'ZodPipeline' || type === 'pipe') {
+      // Prefer the input side for stable, describable hints across versions.
+      current = current?._def?.in ?? current?._zod?.def?.in ?? current?._def?.out ?? current?._zod?.def?.out ?? current;
+      continue;
+    }
+    if (type === 'transform') {
+      current = current?._def?.schema ?? current?._zod?.def?.schema ?? current;
+      continue;
+    }
+    break;
+  }
+  peeled.schema = current;
+  return peeled;
+}
+
+/**
+ * Strip wrappers (optional, nullable, default, effects, pipes, ...) off a schema node.
+ *
+ * @param {any} schema
+ * @returns {any}
+ */
+export function unwrapZodSchema(schema) {
+  return peelZodSchema(schema).schema;
+}
+
+function literalValuesOf(schema) {
+  const { typeName, type } = zodTypeOf(schema);
+  if (typeName !== 'ZodLiteral' && type !== 'literal') {
+    return [undefined];
+  }
+  // Zod v4 literals may hold several values.
+  return schema?._zod?.def?.values ?? [schema?._def?.value];
+}
+
+/**
+ * String options of a top-level enum, string literal or union of string literals.
+ *
+ * @param {any} schema
+ * @returns {string[] | undefined}
+ */
+function choiceOptionsOf(schema) {
+  const { typeName, type } = zodTypeOf(schema);
+  let values;
+  if (typeName === 'ZodEnum' || type === 'enum') {
+    const entries = schema?._zod?.def?.entries;
+    values = schema?._def?.values ?? (isPlainObject(entries) ? Object.values(entries) : undefined);
+  } else if (typeName === 'ZodUnion' || type === 'union') {
+    const options = schema?._def?.options ?? schema?._zod?.def?.options;
+    values = Array.isArray(options) ? options.flatMap(literalValuesOf) : undefined;
+  } else {
+    values = literalValuesOf(schema);
+  }
+
+  return Array.isArray(values) && values.length > 0 && values.every((value) => typeof value === 'string')
+    ? values
+    : undefined;
+}
+
+/**
+ * @param {any} box
+ * @returns {BoxShape}
+ */
+export function getBoxShape(box) {
+  const { typeName: unwrappedTypeName, type: unwrappedType } = zodTypeOf(unwrapZodSchema(box));
+  if (unwrappedTypeName === 'ZodObject' || unwrappedType === 'object') {
+    return { kind: 'object' };
+  }
+
+  const { typeName, type } = zodTypeOf(box);
+  if (typeName === 'ZodArray' || type === 'array') {
+    return { kind: 'array', envelope: 'elements' };
+  }
+
+  const options = choiceOptionsOf(box);
+  if (options) {
+    return { kind: 'choice', envelope: 'result', options };
+  }
+
+  return { kind: 'value', envelope: 'value' };
+}
+
+function noObjectError(text, context, cause) {
+  return new NoObjectGeneratedError({
+    message: 'No object generated: response did not match schema.',
+    cause,
+    text,
+    response: context.response,
+    usage: context.usage,
+    finishReason: context.finishReason,
+  });
+}
+
+/**
+ * Array output that also enforces array-level rules of `box` (e.g. `.min(1)`),
+ * which the AI SDK array mode does not see.
+ */
+function createArrayOutput(box) {
+  const schema = asSchema(box);
+  const output = Output.array({ element: box.element ?? box._zod?.def?.element ?? box._def?.type });
+  return {
+    ...output,
+    async parseCompleteOutput(options, context) {
+      const elements = await output.parseCompleteOutput(options, context);
+      const result = await schema.validate(elements);
+      if (!result.success) {
+        throw noObjectError(options.text, context, TypeValidationError.wrap({ value: elements, cause: result.error }));
+      }
+      return result.value;
+    },
+  };
+}
+
+/**
+ * Any other schema, asked for as `{ "value": ... }` and unwrapped on the way back.
+ */
+function createValueOutput(box) {
+  const schema = asSchema(box);
+  const envelope = jsonSchema(
+    () =>
+      Promise.resolve(schema.jsonSchema).then(({ $schema, ...valueSchema }) => ({
+        type: 'object',
+        properties: { value: valueSchema },
+        required: ['value'],
+        additionalProperties: false,
+      })),
+    {
+      async validate(candidate) {
+        if (!isPlainObject(candidate) || !('value' in candidate)) {
+          return {
+            success: false,
+            error: new TypeValidationError({ value: candidate, cause: 'response must be an object with a "value" key' }),
+          };
+        }
+        return schema.validate(candidate.value);
+      },
+    }
+  );
+  const output = Output.object({ schema: envelope });
+  return {
+    ...output,
+    async parsePartialOutput(options) {
+      const parsed = await output.parsePartialOutput(options);
+      return parsed && isPlainObject(parsed.partial) && 'value' in parsed.partial
+        ? { partial: parsed.partial.value }
+        : undefined;
+    },
+  };
+}
+
+/**
+ * AI SDK output spec for a `box` schema: object, array, choice or wrapped value.
+ *
+ * @param {any} box
+ * @returns {ReturnType<typeof Output.object>}
+ */
+export function createBoxOutput(box) {
+  const shape = getBoxShape(box);
+  if (shape.kind === 'object') {
+    return Output.object({ schema: box });
+  }
+  if (shape.kind === 'array') {
+    return createArrayOutput(box);
+  }
+  if (shape.kind === 'choice') {
+    return Output.choice({ options: shape.options });
+  }
+  return createValueOutput(box);
+}
@@ -0,0 +1,75 @@
+import { isPlainObject } from './guards.js';
+import { KimtenBudgetError } from './errors.js';
+
+const BUDGET_KEYS = ['maxTotalTokens', 'maxPlays', 'maxToolCalls'];
+
+/**
+ * Instance-level spend limits, measured against `stats()` counters.
+ *
+ * @typedef {object} BudgetConfig
+ * @property {number} [maxTotalTokens] Tokens across all plays.
+ * @property {number} [maxPlays] Resolved plays.
+ * @property {number} [maxToolCalls] Toy calls across all plays.
+ */
+
+/**
+ * Counters a budget is checked against.
+ *
+ * @typedef {object} BudgetUsage
+ * @property {number} totalTokens
+ * @property {number} plays Resolved plays plus other calls still in flight.
+ * @property {number} toyCalls
+ * @property {number} callTokens Tokens spent by the current call.
+ */
+
+/**
+ * @param {unknown} budget
+ * @returns {BudgetConfig | undefined}
+ */
+export function validateBudgetConfig(budget) {
+  if (budget === undefined || budget === null) {
+    return undefined;
+  }
+
+  if (!isPlainObject(budget)) {
+    throw new TypeError('Kimten config "budget" must be a plain object when provided.');
+  }
+
+  for (const [key, value] of Object.entries(budget)) {
+    if (!BUDGET_KEYS.includes(key)) {
+      throw new TypeError(`Kimten config "budget" does not support "${key}". Allowed keys: ${BUDGET_KEYS.join(', ')}.`);
+    }
+
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new TypeError(`Kimten config "budget.${key}" must be a positive integer when provided.`);
+    }
+  }
+
+  return { ...budget };
+}
+
+/**
+ * Find the first limit that is used up (`>=`) or, with `overOnly`, overrun (`>`).
+ *
+ * @param {BudgetConfig | undefined} budget
+ * @param {number | undefined} maxTokens Per-call token limit.
+ * @param {BudgetUsage} usage
+ * @param {{ overOnly?: boolean }} [options]
+ * @returns {KimtenBudgetError | undefined}
+ */
+export function findBudgetError(budget, maxTokens, usage, { overOnly = false } = {}) {
+  const checks = [
+    ['maxTotalTokens', budget?.maxTotalTokens, usage.totalTokens],
+    ['maxPlays', budget?.maxPlays, usage.plays],
+    ['maxToolCalls', budget?.maxToolCalls, usage.toyCalls],
+    ['maxTokens', maxTokens, usage.callTokens],
+  ];
+
+  for (const [key, limit, used] of checks) {
+    if (limit !== undefined && (overOnly ? used > limit : used >= limit)) {
+      return new KimtenBudgetError(key, limit, used);
+    }
+  }
+
+  return undefined;
+}
@@ -1,15 +1,68 @@
+import { validateHooks } from './hooks.js';
+import { validateRetryConfig } from './retry.js';
+import { validateBudgetConfig } from './budget.js';
+import { validateSessionsConfig } from './sessions.js';
+import { validateMemoryConfig } from './memory.js';
+import { validateRepairConfig } from './repair.js';
+import { validateSchemaHint } from './schema-hint.js';
+import { validateRedactConfig } from './redact.js';
+import { validateContextBuiltins, validateContextLimit, validateDefaultContext } from './context.js';
+import { validateContextFormat } from './context-format.js';
+import { validateTemplates } from './templates.js';
+
 const DEFAULT_PERSONALITY = 'You are a helpful assistant.';
 
+function isBrainModel(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeBrains(brain) {
+  if (Array.isArray(brain)) {
+    if (brain.length === 0 || !brain.every(isBrainModel)) {
+      throw new TypeError(
+        'Kimten config "brain" array must list one or more AI SDK model instances (primary first, then fallbacks).'
+      );
+    }
+    return [...brain];
+  }
+
+  if (!isBrainModel(brain)) {
+    throw new TypeError('Kimten config "brain" is required and must be an AI SDK model instance.');
+  }
+
+  return [brain];
+}
+
 export function validateConfig(config) {
   if (config === null || typeof config !== 'object' || Array.isArray(config)) {
     throw new TypeError('Kimten requires a config object.');
   }
 
-  const { brain, toys = {}, name = undefined, personality = null, hops = 10, box = undefined } = config;
+  const {
+    brain,
+    toys = {},
+    name = undefined,
+    personality = null,
+    hops = 10,
+    box = undefined,
+    schemaHint = undefined,
+    redact = undefined,
+    context = undefined,
+    contextBuiltins = undefined,
+    contextLimit = undefined,
+    contextFormat = undefined,
+    templates = undefined,
+    hooks = undefined,
+    retry = undefined,
+    repair = undefined,
+    budget = undefined,
+    sessions = undefined,
+    memory = undefined,
+    summaryBrain = undefined,
+    summarize = summaryBrain !== undefined && summaryBrain !== null,
+  } = config;
 
-  if (!brain || typeof brain !== 'object') {
-    throw new TypeError('Kimten config "brain" is required and must be an AI SDK model instance.');
-  }
+  const brains = normalizeBrains(brain);
 
   const resolvedPersonality = personality ?? DEFAULT_PERSONALITY;
   if (typeof resolvedPersonality !== 'string' || resolvedPersonality.trim() === '') {
@@ -28,12 +81,34 @@ export function validateConfig(config) {
     throw new TypeError('Kimten config "name" must be a non-empty string when provided.');
   }
 
+  if (summaryBrain !== undefined && summaryBrain !== null && !isBrainModel(summaryBrain)) {
+    throw new TypeError('Kimten config "summaryBrain" must be an AI SDK model instance when provided.');
+  }
+
+  if (typeof summarize !== 'boolean') {
+    throw new TypeError('Kimten config "summarize" must be a boolean when provided.');
+  }
+
   return {
-    brain,
+    brains,
     toys,
     name,
     personality: resolvedPersonality,
     hops,
     box,
+    schemaHint: validateSchemaHint(schemaHint),
+    redact: validateRedactConfig(redact),
+    context: validateDefaultContext(context),
+    contextBuiltins: validateContextBuiltins(contextBuiltins),
+    contextLimit: validateContextLimit(contextLimit),
+    contextFormat: validateContextFormat(contextFormat),
+    templates: validateTemplates(templates),
+    hooks: validateHooks(hooks, 'Kimten config "hooks"'),
+    retry: validateRetryConfig(retry),
+    repair: validateRepairConfig(repair),
+    budget: validateBudgetConfig(budget),
+    sessions: validateSessionsConfig(sessions),
+    memory: validateMemoryConfig(memory),
+    summaryBrain: summarize ? summaryBrain ?? brains[0] : undefined,
   };
 }
@@ -0,0 +1,188 @@
+import { isPlainObject } from './guards.js';
+
+export const CONTEXT_FORMATS = ['json', 'yaml', 'xml', 'markdown'];
+
+/** Shown in the prompt as `Context (<label>):`. */
+const FORMAT_LABELS = { json: 'JSON', yaml: 'YAML', xml: 'XML', markdown: 'Markdown' };
+
+/**
+ * How call context is written into the prompt: a built-in format or a
+ * function turning the (redacted, JSON-safe) context into text.
+ *
+ * @typedef {'json' | 'yaml' | 'xml' | 'markdown' | ((context: unknown) => string)} ContextFormat
+ */
+
+/**
+ * @param {unknown} contextFormat
+ * @returns {ContextFormat}
+ */
+export function validateContextFormat(contextFormat) {
+  if (contextFormat === undefined || contextFormat === null) {
+    return 'json';
+  }
+
+  if (typeof contextFormat !== 'function' && !CONTEXT_FORMATS.includes(contextFormat)) {
+    throw new TypeError(
+      `Kimten config "contextFormat" must be one of: ${CONTEXT_FORMATS.join(', ')}, or a function (context) => string.`
+    );
+  }
+
+  return contextFormat;
+}
+
+/**
+ * @param {ContextFormat} format
+ * @returns {string | undefined} `undefined` for custom formats.
+ */
+export function contextFormatLabel(format) {
+  return typeof format === 'function' ? undefined : FORMAT_LABELS[format];
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+function isContainer(value) {
+  return Array.isArray(value) || isPlainObject(value);
+}
+
+function isEmptyContainer(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+// --- YAML -----------------------------------------------------------------
+
+const YAML_RESERVED = /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:e[-+]?\d+)?|\.inf|\.nan)$/i;
+
+function yamlString(text) {
+  const plain =
+    text !== '' &&
+    text.trim() === text &&
+    !YAML_RESERVED.test(text) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    !/: |\s#|[\n\r\t]|:$/.test(text);
+  // JSON strings are valid double-quoted YAML scalars.
+  return plain ? text : JSON.stringify(text);
+}
+
+function yamlScalar(value) {
+  return typeof value === 'string' ? yamlString(value) : JSON.stringify(value);
+}
+
+function yamlKey(key) {
+  return /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function yamlLines(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (isContainer(item) && !isEmptyContainer(item)) {
+        // The first line of a nested block shares the dash: "- key: value".
+        const [first, ...rest] = yamlLines(item, indent + 2);
+        return [`${pad}- ${first.trimStart()}`, ...rest];
+      }
+      return [`${pad}- ${yamlValue(item)}`];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, item]) =>
+    isContainer(item) && !isEmptyContainer(item)
+      ? [`${pad}${yamlKey(key)}:`, ...yamlLines(item, indent + 2)]
+      : [`${pad}${yamlKey(key)}: ${yamlValue(item)}`]
+  );
+}
+
+function yamlValue(value) {
+  if (isContainer(value)) {
+    return Array.isArray(value) ? '[]' : '{}';
+  }
+  return yamlScalar(value);
+}
+
+/**
+ * @param {unknown} value JSON-safe value.
+ * @returns {string}
+ */
+export function toYaml(value) {
+  return isContainer(value) && !isEmptyContainer(value) ? yamlLines(value, 0).join('\n') : yamlValue(value);
+}
+
+// --- XML ------------------------------------------------------------------
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmlOpen(key) {
+  // Keys that are not valid tag names travel in an attribute instead.
+  return /^[A-Za-z_][\w.-]*$/.test(key) && !/^xml/i.test(key)
+    ? { open: `<${key}>`, close: `</${key}>` }
+    : { open: `<entry key="${escapeXml(key)}">`, close: '</entry>' };
+}
+
+function xmlLines(key, value, indent) {
+  const pad = ' '.repeat(indent);
+  const { open, close } = xmlOpen(key);
+  if (!isContainer(value)) {
+    return [`${pad}${open}${escapeXml(String(value))}${close}`];
+  }
+
+  const children = Array.isArray(value)
+    ? value.flatMap((item) => xmlLines('item', item, indent + 2))
+    : Object.entries(value).flatMap(([childKey, item]) => xmlLines(childKey, item, indent + 2));
+  return children.length === 0 ? [`${pad}${open}${close}`] : [`${pad}${open}`, ...children, `${pad}${close}`];
+}
+
+/**
+ * @param {unknown} value JSON-safe value.
+ * @returns {string}
+ */
+export function toXml(value) {
+  return xmlLines('context', value, 0).join('\n');
+}
+
+// --- Markdown ---------------------------------------------------------------
+
+function markdownScalar(value) {
+  if (typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  // Keep each entry on one line.
+  return value === '' || /[\n\r]/.test(value) ? JSON.stringify(value) : value;
+}
+
+function markdownLines(value, indent) {
+  const pad = ' '.repeat(indent);
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [`[${index}]`, item, true])
+    : Object.entries(value).map(([key, item]) => [key, item, false]);
+
+  return entries.flatMap(([label, item, isItem]) => {
+    if (isContainer(item) && !isEmptyContainer(item)) {
+      return [`${pad}- ${label}`, ...markdownLines(item, indent + 2)];
+    }
+    const text = isContainer(item) ? (Array.isArray(item) ? '[]' : '{}') : markdownScalar(item);
+    return [isItem ? `${pad}- ${text}` : `${pad}- ${label}: ${text}`];
+  });
+}
+
+/**
+ * @param {unknown} value JSON-safe value.
+ * @returns {string}
+ */
+export function toMarkdown(value) {
+  return isContainer(value) && !isEmptyContainer(value) ? markdownLines(value, 0).join('\n') : markdownScalar(value);
+}
+
+const RENDERERS = { json: toJson, yaml: toYaml, xml: toXml, markdown: toMarkdown };
+
+/**
+ * Serializer for a built-in format.
+ *
+ * @param {ContextFormat} format
+ * @returns {((value: unknown) => string) | undefined} `undefined` for custom formats.
+ */
+export function contextRenderer(format) {
+  return typeof format === 'function' ? undefined : RENDERERS[format];
+}
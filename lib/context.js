@@ -0,0 +1,436 @@
+import { isPlainObject } from './guards.js';
+
+export const DEFAULT_CONTEXT_CHARS = 4000;
+/** Key holding the "+N keys" marker where properties were dropped. */
+export const ELIDED_KEYS_MARKER = '…';
+/** Rounds of shortening, each cutting long strings and arrays harder than the last. */
+const SHORTEN_STEPS = [
+  { chars: 1000, items: 50 },
+  { chars: 200, items: 20 },
+  { chars: 80, items: 5 },
+  { chars: 20, items: 1 },
+];
+
+/** Built-in context values, computed for every call. */
+const CONTEXT_BUILTINS = {
+  now: (date) => date.toISOString(),
+  today: (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+  timezone: () => Intl.DateTimeFormat().resolvedOptions().timeZone,
+};
+const CONTEXT_BUILTIN_NAMES = Object.keys(CONTEXT_BUILTINS);
+
+/**
+ * Instance-level context: merged under every call's context.
+ *
+ * @typedef {Record<string, unknown> | (() => Record<string, unknown> | null | undefined | Promise<Record<string, unknown> | null | undefined>)} DefaultContext
+ */
+
+/**
+ * Size limit for the context injected into call prompts.
+ *
+ * @typedef {object} ContextLimit
+ * @property {number} chars Max characters of the serialized context.
+ * @property {string[]} priorities Keys or dotted paths kept longest, most important first.
+ */
+
+/**
+ * Context as sent to the model, with what had to go to fit the limit.
+ *
+ * @typedef {object} FittedContext
+ * @property {string} text Serialized context (valid JSON for the default format).
+ * @property {string[]} elided Paths (e.g. `user.tags`, `items[2].note`) that were shortened or dropped.
+ */
+
+/**
+ * @param {unknown} contextLimit
+ * @returns {ContextLimit}
+ */
+export function validateContextLimit(contextLimit) {
+  if (contextLimit === undefined || contextLimit === null) {
+    return { chars: DEFAULT_CONTEXT_CHARS, priorities: [] };
+  }
+
+  if (typeof contextLimit === 'number') {
+    return validateContextLimit({ chars: contextLimit });
+  }
+
+  if (!isPlainObject(contextLimit)) {
+    throw new TypeError('Kimten config "contextLimit" must be a positive integer or a plain object when provided.');
+  }
+
+  for (const key of Object.keys(contextLimit)) {
+    if (key !== 'chars' && key !== 'priorities') {
+      throw new TypeError(`Kimten config "contextLimit" does not support "${key}". Allowed keys: chars, priorities.`);
+    }
+  }
+
+  const { chars = DEFAULT_CONTEXT_CHARS, priorities = [] } = contextLimit;
+  if (!Number.isInteger(chars) || chars < 1) {
+    throw new TypeError('Kimten config "contextLimit.chars" must be a positive integer.');
+  }
+
+  if (!Array.isArray(priorities) || !priorities.every((entry) => typeof entry === 'string' && entry.trim() !== '')) {
+    throw new TypeError('Kimten config "contextLimit.priorities" must be an array of non-empty strings.');
+  }
+
+  return { chars, priorities: [...priorities] };
+}
+
+/**
+ * @param {unknown} context
+ * @returns {DefaultContext | undefined}
+ */
+export function validateDefaultContext(context) {
+  if (context === undefined || context === null) {
+    return undefined;
+  }
+
+  if (!isPlainObject(context) && typeof context !== 'function') {
+    throw new TypeError('Kimten config "context" must be a plain object or a function returning one when provided.');
+  }
+
+  return context;
+}
+
+/**
+ * @param {unknown} contextBuiltins
+ * @returns {string[]} Names of the built-in values to add.
+ */
+export function validateContextBuiltins(contextBuiltins) {
+  if (contextBuiltins === undefined || contextBuiltins === null || contextBuiltins === false) {
+    return [];
+  }
+
+  if (contextBuiltins === true) {
+    return [...CONTEXT_BUILTIN_NAMES];
+  }
+
+  if (!Array.isArray(contextBuiltins) || !contextBuiltins.every((name) => CONTEXT_BUILTIN_NAMES.includes(name))) {
+    throw new TypeError(
+      `Kimten config "contextBuiltins" must be a boolean or an array of: ${CONTEXT_BUILTIN_NAMES.join(', ')}.`
+    );
+  }
+
+  return [...new Set(contextBuiltins)];
+}
+
+/**
+ * Deep-merge `override` over `base`: nested plain objects are merged, anything
+ * else (arrays included) is replaced.
+ *
+ * @param {Record<string, unknown>} base
+ * @param {Record<string, unknown>} override
+ * @returns {Record<string, unknown>}
+ */
+export function mergeContext(base, override, seen = new WeakSet()) {
+  if (seen.has(override)) {
+    return override;
+  }
+  seen.add(override);
+
+  // A Map plus fromEntries keeps keys like "__proto__" as plain data.
+  const merged = new Map(Object.entries(base));
+  for (const [key, value] of Object.entries(override)) {
+    const current = merged.get(key);
+    merged.set(key, isPlainObject(value) && isPlainObject(current) ? mergeContext(current, value, seen) : value);
+  }
+  return Object.fromEntries(merged);
+}
+
+/**
+ * Context for one call: built-in values, then the instance context, then the
+ * call's own context (each level wins over the previous one).
+ *
+ * Anything that is not a plain object is returned as-is, so the usual
+ * validation still reports it.
+ *
+ * @param {unknown} callContext
+ * @param {{ context: DefaultContext | undefined, builtins: string[] }} defaults
+ * @returns {Promise<unknown>}
+ */
+export async function resolveCallContext(callContext, { context, builtins }) {
+  const hasCallContext = callContext !== undefined && callContext !== null;
+  if ((context === undefined && builtins.length === 0) || (hasCallContext && !isPlainObject(callContext))) {
+    return callContext;
+  }
+
+  const date = new Date();
+  const base = Object.fromEntries(builtins.map((name) => [name, CONTEXT_BUILTINS[name](date)]));
+
+  const provided = typeof context === 'function' ? await context() : context;
+  if (provided !== undefined && provided !== null && !isPlainObject(provided)) {
+    throw new TypeError('Kimten config "context" function must return a plain object.');
+  }
+
+  const defaults = isPlainObject(provided) ? mergeContext(base, provided) : base;
+  return hasCallContext ? mergeContext(defaults, callContext) : defaults;
+}
+
+function serialize(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+function formatPath(path) {
+  if (path.length === 0) {
+    return '(root)';
+  }
+
+  return path
+    .map((segment, index) => {
+      if (typeof segment === 'number') {
+        return `[${segment}]`;
+      }
+      return index === 0 ? segment : `.${segment}`;
+    })
+    .join('');
+}
+
+/**
+ * Priority rank of a property: index of the first matching entry, or
+ * `Infinity`. Entries with a dot match the key path (array indices ignored),
+ * others match the key name.
+ */
+function rankOf(priorities, key, path) {
+  const keyPath = path.filter((segment) => typeof segment === 'string').join('.');
+  const index = priorities.findIndex((entry) => (entry.includes('.') ? entry === keyPath : entry === key));
+  return index === -1 ? Infinity : index;
+}
+
+/**
+ * Copy `value`, cutting strings and arrays longer than `step`. Only nodes
+ * whose priority flag equals `prioritized` are touched.
+ */
+function shorten(value, step, { priorities, prioritized }, elided, path = [], rank = Infinity) {
+  const touch = (rank !== Infinity) === prioritized;
+
+  if (typeof value === 'string') {
+    if (!touch || value.length <= step.chars) {
+      return value;
+    }
+    elided.push(formatPath(path));
+    return `${value.slice(0, step.chars)}…(+${value.length - step.chars} chars)`;
+  }
+
+  if (Array.isArray(value)) {
+    const cut = touch && value.length > step.items;
+    const kept = (cut ? value.slice(0, step.items) : value).map((item, index) =>
+      shorten(item, step, { priorities, prioritized }, elided, [...path, index], rank)
+    );
+    if (cut) {
+      elided.push(formatPath(path));
+      kept.push(`…+${value.length - step.items} items`);
+    }
+    return kept;
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        const itemPath = [...path, key];
+        const itemRank = Math.min(rank, rankOf(priorities, key, itemPath));
+        return [key, shorten(item, step, { priorities, prioritized }, elided, itemPath, itemRank)];
+      })
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Every droppable property, with its size and the best priority rank found
+ * on it, its ancestors or its descendants (so a kept key keeps its parents).
+ *
+ * Sizes are pretty-JSON lengths built up from the children's (`{ length, lines }`
+ * of each node), so nested values are not serialized over and over.
+ */
+function collectProperties(value, priorities, path = [], rank = Infinity, found = []) {
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : isPlainObject(value)
+      ? Object.entries(value)
+      : [];
+  if (entries.length === 0) {
+    return { best: Infinity, length: serialize(value).length, lines: 1 };
+  }
+
+  let best = Infinity;
+  // "{\n" and "\n}", plus ",\n" between entries.
+  let length = 4 + 2 * (entries.length - 1);
+  let lines = 2;
+  for (const [key, item] of entries) {
+    const itemPath = [...path, key];
+    const isProperty = typeof key === 'string' && key !== ELIDED_KEYS_MARKER;
+    const itemRank = isProperty ? Math.min(rank, rankOf(priorities, key, itemPath)) : rank;
+    const slot = isProperty ? found.push({ parent: value, key, path: itemPath, size: 0, rank: itemRank }) - 1 : -1;
+    const inner = collectProperties(item, priorities, itemPath, itemRank, found);
+    if (slot !== -1) {
+      found[slot].size = inner.length;
+      found[slot].rank = Math.min(itemRank, inner.best);
+    }
+    // Two spaces of indentation on every line, and `"key": ` in objects.
+    length += 2 + (typeof key === 'string' ? JSON.stringify(key).length + 2 : 0) + inner.length + 2 * (inner.lines - 1);
+    lines += inner.lines;
+    best = Math.min(best, itemRank, inner.best);
+  }
+
+  return { best, length, lines };
+}
+
+function keysMarker(parent, count) {
+  const marker = parent[ELIDED_KEYS_MARKER];
+  const dropped = (typeof marker === 'string' ? Number.parseInt(marker.slice(1), 10) : 0) + count;
+  return `+${dropped} ${dropped === 1 ? 'key' : 'keys'}`;
+}
+
+function dropProperty(parent, key) {
+  const marker = keysMarker(parent, 1);
+  delete parent[key];
+  // Re-added so the marker stays last.
+  delete parent[ELIDED_KEYS_MARKER];
+  parent[ELIDED_KEYS_MARKER] = marker;
+}
+
+/** Copy of `value` as it would look after dropping `properties` one by one. */
+function withoutProperties(value, properties) {
+  const removed = new Map();
+  for (const { parent, key } of properties) {
+    removed.set(parent, (removed.get(parent) ?? new Set()).add(key));
+  }
+
+  function copy(node) {
+    if (Array.isArray(node)) {
+      return node.map(copy);
+    }
+    if (!isPlainObject(node)) {
+      return node;
+    }
+    const keys = removed.get(node);
+    const result = {};
+    for (const [key, item] of Object.entries(node)) {
+      if (!keys || (!keys.has(key) && key !== ELIDED_KEYS_MARKER)) {
+        result[key] = copy(item);
+      }
+    }
+    if (keys) {
+      result[ELIDED_KEYS_MARKER] = keysMarker(node, keys.size);
+    }
+    return result;
+  }
+
+  return copy(value);
+}
+
+/**
+ * Drop properties (largest first) until the value fits. Without
+ * `prioritized`, only properties with no priority anywhere in or above them go.
+ *
+ * The number of drops is found by binary search, so the value is rendered a
+ * logarithmic number of times rather than once per property.
+ *
+ * @returns {boolean} Whether the value fits now.
+ */
+function dropUntilFits(value, { chars, priorities, render }, prioritized, elided, dropped) {
+  if (render(value).length <= chars) {
+    return true;
+  }
+
+  const properties = [];
+  collectProperties(value, priorities, [], Infinity, properties);
+  const candidates = properties
+    .filter((property) => prioritized || property.rank === Infinity)
+    .sort((a, b) => (b.rank === a.rank ? b.size - a.size : b.rank - a.rank));
+
+  // Drop order, skipping properties that went with an earlier one.
+  const gone = new Set(dropped.map((path) => JSON.stringify(path)));
+  const order = candidates.filter((property) => {
+    const inside = property.path.some((_, index) => gone.has(JSON.stringify(property.path.slice(0, index + 1))));
+    if (!inside) {
+      gone.add(JSON.stringify(property.path));
+    }
+    return !inside;
+  });
+
+  const fitsAfter = (count) => render(withoutProperties(value, order.slice(0, count))).length <= chars;
+  let count = order.length;
+  const fits = fitsAfter(count);
+  if (fits) {
+    // Fewest drops that fit: dropping none does not, dropping `count` does.
+    let low = 0;
+    while (count - low > 1) {
+      const middle = Math.floor((low + count) / 2);
+      if (fitsAfter(middle)) {
+        count = middle;
+      } else {
+        low = middle;
+      }
+    }
+  }
+
+  for (const property of order.slice(0, count)) {
+    dropProperty(property.parent, property.key);
+    dropped.push(property.path);
+    elided.push(formatPath(property.path));
+  }
+  return fits;
+}
+
+/**
+ * Serialize a JSON-safe context value within `limit.chars`, keeping it well-formed.
+ *
+ * Long strings and arrays are shortened first (`…(+120 chars)`, `…+42 items`),
+ * then whole properties are dropped, largest first (`"…": "+3 keys"`).
+ * Properties listed in `limit.priorities` (and their parents) are left alone
+ * until nothing else is left to cut.
+ * If even that is too long, the text is empty (the context is left out) and
+ * `(root)` is reported as elided.
+ *
+ * @param {unknown} value JSON-safe value (e.g. the output of `redactValue`).
+ * @param {ContextLimit} limit
+ * @param {(value: unknown) => string} [render] Serializer the limit applies to (default: pretty JSON).
+ * @returns {FittedContext}
+ */
+export function fitContext(value, { chars, priorities }, render = serialize) {
+  const text = render(value);
+  if (text.length <= chars) {
+    return { text, elided: [] };
+  }
+
+  let elided = [];
+  let fitted = value;
+  for (const step of SHORTEN_STEPS) {
+    elided = [];
+    fitted = shorten(value, step, { priorities, prioritized: false }, elided);
+    const shortened = render(fitted);
+    if (shortened.length <= chars) {
+      return { text: shortened, elided };
+    }
+  }
+
+  const dropped = [];
+  if (!dropUntilFits(fitted, { chars, priorities, render }, false, elided, dropped)) {
+    const base = fitted;
+    const baseElided = elided;
+    for (const step of SHORTEN_STEPS) {
+      elided = [...baseElided];
+      fitted = shorten(base, step, { priorities, prioritized: true }, elided);
+      if (render(fitted).length <= chars) {
+        break;
+      }
+    }
+    dropUntilFits(fitted, { chars, priorities, render }, true, elided, dropped);
+  }
+
+  const fittedText = render(fitted);
+  if (fittedText.length > chars) {
+    // Nothing left to cut: leave the context out rather than overrun the limit.
+    return { text: '', elided: [formatPath([])] };
+  }
+
+  // Paths inside a dropped property are not worth reporting separately.
+  const droppedPaths = new Set(dropped.map(formatPath));
+  const isInsideDropped = (path) =>
+    Array.from(path.matchAll(/[.[]/g)).some((match) => droppedPaths.has(path.slice(0, match.index)));
+  const reported = [...new Set(elided)].filter((path) => !isInsideDropped(path));
+  return { text: fittedText, elided: reported };
+}
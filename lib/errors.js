@@ -0,0 +1,56 @@
+/**
+ * Thrown when a play still fails after Kimten retried it.
+ *
+ * The last underlying error is available as `cause`.
+ */
+export class KimtenRetryError extends Error {
+  /**
+   * @param {unknown} cause Last error seen.
+   * @param {number} attempts Total attempts made (including the first one).
+   */
+  constructor(cause, attempts) {
+    const reason = cause instanceof Error ? cause.message : String(cause);
+    super(`Kimten play failed after ${attempts} attempts: ${reason}`, { cause });
+    this.name = 'KimtenRetryError';
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Thrown when every brain in a fallback chain failed the same turn.
+ *
+ * `errors` lists the failure of each brain tried, in order; `cause` is the last one.
+ */
+export class KimtenFallbackError extends Error {
+  /**
+   * @param {unknown[]} errors
+   */
+  constructor(errors) {
+    const last = errors[errors.length - 1];
+    const reason = last instanceof Error ? last.message : String(last);
+    super(`Kimten play failed on ${errors.length} brains: ${reason}`, { cause: last });
+    this.name = 'KimtenFallbackError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when a play would exceed (or already exceeded) a configured budget.
+ *
+ * `budget` names the limit (`maxTotalTokens`, `maxPlays`, `maxToolCalls` or
+ * the per-call `maxTokens`); `limit` and `used` carry the numbers.
+ */
+export class KimtenBudgetError extends Error {
+  /**
+   * @param {string} budget
+   * @param {number} limit
+   * @param {number} used
+   */
+  constructor(budget, limit, used) {
+    super(`Kimten budget "${budget}" exhausted: used ${used} of ${limit}.`);
+    this.name = 'KimtenBudgetError';
+    this.budget = budget;
+    this.limit = limit;
+    this.used = used;
+  }
+}
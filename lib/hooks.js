@@ -0,0 +1,87 @@
+import { isPlainObject } from './guards.js';
+
+export const HOOK_NAMES = ['onStepFinish', 'onToolCall', 'onToolResult', 'onFinish', 'onError'];
+
+/**
+ * Lifecycle hooks. All hooks are fire-and-forget observers: they are not
+ * awaited, and anything they throw (or reject with) is swallowed.
+ *
+ * @typedef {object} KimtenHooks
+ * @property {(event: Record<string, unknown>) => unknown} [onStepFinish]
+ * @property {(event: Record<string, unknown>) => unknown} [onToolCall]
+ * @property {(event: Record<string, unknown>) => unknown} [onToolResult]
+ * @property {(event: Record<string, unknown>) => unknown} [onFinish]
+ * @property {(event: Record<string, unknown>) => unknown} [onError]
+ */
+
+/**
+ * @param {unknown} hooks
+ * @param {string} label Error message prefix, e.g. `Kimten config "hooks"`.
+ * @returns {KimtenHooks}
+ */
+export function validateHooks(hooks, label) {
+  if (hooks === undefined || hooks === null) {
+    return {};
+  }
+
+  if (!isPlainObject(hooks)) {
+    throw new TypeError(`${label} must be a plain object of hook functions when provided.`);
+  }
+
+  for (const [key, value] of Object.entries(hooks)) {
+    if (!HOOK_NAMES.includes(key)) {
+      throw new TypeError(`${label} does not support hook "${key}". Allowed hooks: ${HOOK_NAMES.join(', ')}.`);
+    }
+
+    if (value !== undefined && typeof value !== 'function') {
+      throw new TypeError(`${label} hook "${key}" must be a function when provided.`);
+    }
+  }
+
+  return { ...hooks };
+}
+
+/**
+ * Per-call hooks replace config hooks of the same name.
+ *
+ * @param {KimtenHooks} base
+ * @param {KimtenHooks | undefined} overrides
+ * @returns {KimtenHooks}
+ */
+export function mergeHooks(base, overrides) {
+  if (!overrides) {
+    return base;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Call a hook without letting it affect the run.
+ *
+ * @param {KimtenHooks | undefined} hooks
+ * @param {keyof KimtenHooks} hookName
+ * @param {Record<string, unknown>} event
+ * @returns {void}
+ */
+export function emitHook(hooks, hookName, event) {
+  const hook = hooks?.[hookName];
+  if (typeof hook !== 'function') {
+    return;
+  }
+
+  try {
+    const returned = hook(event);
+    if (returned && typeof returned.then === 'function') {
+      returned.then(undefined, () => {});
+    }
+  } catch {
+    // Hooks are observers only; a failing hook must never break a play.
+  }
+}
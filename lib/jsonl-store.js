@@ -0,0 +1,112 @@
+import { appendFile, mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/** Session files are `kimten-<session>.jsonl`; clear() leaves other files in the directory alone. */
+const PREFIX = 'kimten-';
+const EXTENSION = '.jsonl';
+
+function isMissingFile(error) {
+  return error?.code === 'ENOENT';
+}
+
+function toLines(messages) {
+  return messages.map((message) => `${JSON.stringify(message)}\n`).join('');
+}
+
+/**
+ * File-backed memory store: one JSONL file per session, one message per line.
+ *
+ * Conversations survive restarts. A line left half-written by a crash is
+ * skipped when reading. The directory may be shared: only the store's own
+ * `kimten-*.jsonl` files are ever removed.
+ *
+ * @param {{ dir: string }} options Directory for the session files (created on first write).
+ * @returns {import('./memory.js').AsyncMemoryStore}
+ */
+export function createJsonlStore({ dir } = {}) {
+  if (typeof dir !== 'string' || dir.trim() === '') {
+    throw new TypeError('Kimten createJsonlStore({ dir }) expects dir to be a non-empty string.');
+  }
+
+  function fileOf(session) {
+    return join(dir, `${PREFIX}${encodeURIComponent(session)}${EXTENSION}`);
+  }
+
+  async function add(session, messages) {
+    if (messages.length === 0) {
+      return;
+    }
+
+    await mkdir(dir, { recursive: true });
+    // A single append per turn keeps user/assistant pairs together.
+    await appendFile(fileOf(session), toLines(messages), 'utf8');
+  }
+
+  async function list(session) {
+    let text;
+    try {
+      text = await readFile(fileOf(session), 'utf8');
+    } catch (error) {
+      if (isMissingFile(error)) {
+        return [];
+      }
+      throw error;
+    }
+
+    const messages = [];
+    for (const line of text.split('\n')) {
+      if (line.trim() === '') {
+        continue;
+      }
+      try {
+        messages.push(JSON.parse(line));
+      } catch {
+        // Partial line from an interrupted write.
+      }
+    }
+    return messages;
+  }
+
+  async function clear(session = undefined) {
+    if (session !== undefined) {
+      await rm(fileOf(session), { force: true });
+      return;
+    }
+
+    let names;
+    try {
+      names = await readdir(dir);
+    } catch (error) {
+      if (isMissingFile(error)) {
+        return;
+      }
+      throw error;
+    }
+
+    await Promise.all(
+      names
+        .filter((fileName) => fileName.startsWith(PREFIX) && fileName.endsWith(EXTENSION))
+        .map((fileName) => rm(join(dir, fileName), { force: true }))
+    );
+  }
+
+  async function trim(session, limit) {
+    const messages = await list(session);
+    if (messages.length <= limit) {
+      return;
+    }
+
+    // Write-then-rename so a crash never leaves a truncated history behind.
+    const file = fileOf(session);
+    const tempFile = `${file}.tmp`;
+    await writeFile(tempFile, toLines(messages.slice(-limit)), 'utf8');
+    await rename(tempFile, file);
+  }
+
+  return {
+    add,
+    list,
+    clear,
+    trim,
+  };
+}
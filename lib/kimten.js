@@ -1,14 +1,33 @@
-import { ToolLoopAgent, stepCountIs, Output } from 'ai';
-import { createMemory } from './memory.js';
+import { ToolLoopAgent, stepCountIs, isDeepEqualData } from 'ai';
 import { normalizeToys } from './tools.js';
 import { validateConfig } from './config.js';
 import { validatePlayOptions } from './play-options.js';
 import { resolveAttachmentPayloads } from './attachments.js';
+import { createEventChannel } from './stream.js';
+import { createCallSignal, raceAbort } from './abort.js';
+import { emitHook, mergeHooks } from './hooks.js';
+import { redactValue } from './redact.js';
+import { runWithRetry } from './retry.js';
+import { KimtenBudgetError, KimtenFallbackError } from './errors.js';
+import { createStats } from './stats.js';
+import { isPlainObject } from './guards.js';
+import { findBudgetError } from './budget.js';
+import { findBoxFailure } from './repair.js';
+import { createBoxOutput } from './box.js';
+import { createSessionMemory } from './memory.js';
+import { lastTurnStart, splitWindow, untruncated } from './memory-window.js';
+import { summarizeTurns } from './summary.js';
+import { createSessionStore, DEFAULT_SESSION, validateSessionId } from './sessions.js';
+import { createSnapshot, validateSnapshot } from './snapshot.js';
+import { resolveCallContext } from './context.js';
+import { renderTemplate } from './templates.js';
 import {
   buildEffectiveInput,
   buildMessagesForAgent,
+  buildRepairPrompt,
+  buildSummarizedInstructions,
   buildSystemInstructions,
-  serializeContext,
+  fitSerializedContext,
 } from './prompt.js';
 
 /**
@@ -33,6 +52,7 @@ import {
  *
  * @callback ToolExecute
  * @param {any} args
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {any | Promise<any>}
  */
 
@@ -56,12 +76,28 @@ import {
  * Kimten factory config.
  *
  * @typedef {object} KimtenConfig
- * @property {BrainModel} brain AI SDK model instance.
+ * @property {BrainModel | BrainModel[]} brain AI SDK model instance, or an ordered fallback chain (primary first).
  * @property {Toys} [toys] Tool registry.
  * @property {string} [name] Optional instance tag.
  * @property {string} [personality] System prompt / instructions.
  * @property {number} [hops] Max loop steps (prevents infinite loops).
  * @property {ZodSchema} [box] Optional output schema fixed for this instance.
+ * @property {import('./schema-hint.js').SchemaHintFormat} [schemaHint] How `box` is described in call prompts (default: `compact`).
+ * @property {import('./context.js').DefaultContext} [context] Background context merged under every call's context (or a provider for it).
+ * @property {boolean | Array<'now' | 'today' | 'timezone'>} [contextBuiltins] Built-in values added to every call's context (`true` for all).
+ * @property {number | Partial<import('./context.js').ContextLimit>} [contextLimit] Max characters of injected context (default: 4000), optionally with key priorities.
+ * @property {import('./context-format.js').ContextFormat} [contextFormat] How context is written into call prompts (default: `json`).
+ * @property {boolean | import('./redact.js').RedactConfig} [redact] What is masked in context and in hook payloads (default: built-in keys and value detectors).
+ * @property {Record<string, import('./templates.js').TemplateDefinition>} [templates] Named input templates for `playTemplate()`.
+ * @property {import('./hooks.js').KimtenHooks} [hooks] Lifecycle hooks (observers only).
+ * @property {Partial<import('./retry.js').RetryConfig>} [retry] Retry transient model failures with backoff.
+ * @property {Partial<import('./repair.js').RepairConfig>} [repair] Send `box` validation problems back to the model and try again.
+ * @property {import('./budget.js').BudgetConfig} [budget] Spend limits for this instance.
+ * @property {Partial<import('./sessions.js').SessionsConfig>} [sessions] Limits for idle sessions (LRU `max`, `ttlMs`).
+ * @property {import('./memory.js').AsyncMemoryStore | { store?: import('./memory.js').AsyncMemoryStore, includeToolSteps?: boolean, maxMessages?: number, maxTokens?: number, estimator?: (text: string) => number }} [memory]
+ *   Custom memory store, window limits and whether tool steps are remembered (default: in-process, 10 messages, final replies only).
+ * @property {boolean} [summarize] Fold turns evicted from memory into a running summary.
+ * @property {BrainModel} [summaryBrain] Model used for summaries (default: the primary `brain`); implies `summarize`.
  */
 
 /**
@@ -70,7 +106,37 @@ import {
  * @typedef {object} KimtenAgent
  * @property {string | undefined} name Optional public instance tag.
  * @property {(input: string, context?: Record<string, unknown> | null, options?: PlayOptions) => Promise<any>} play Run the agent loop.
- * @property {() => void} forget Clear short-term memory.
+ * @property {(input: string, context?: Record<string, unknown> | null, options?: PlayOptions) => PlayStream} playStream Run the agent loop with incremental output.
+ * @property {(name: string, vars: Record<string, unknown>, context?: Record<string, unknown> | null, options?: PlayOptions) => Promise<any>} playTemplate
+ *   Render a configured template and play it.
+ * @property {(session?: string | ForgetOptions, options?: ForgetOptions) => Promise<void>} forget
+ *   Clear short-term memory of one session, or of every session when `session` is omitted.
+ * @property {(session?: string) => Promise<boolean>} undo Remove the newest turn of a session from memory.
+ * @property {(options?: RetryOptions) => Promise<any>} retry Re-run the newest user input, replacing its reply.
+ * @property {(options?: { prices?: Record<string, import('./stats.js').ModelPrice> }) => import('./stats.js').KimtenStats} stats
+ *   Cumulative token usage, play/failure counts and toy calls for this instance.
+ * @property {(session?: string) => Promise<import('./snapshot.js').MemorySnapshot>} snapshot
+ *   Export memory (every session, or one) as versioned, JSON-serializable data.
+ * @property {(snapshot: import('./snapshot.js').MemorySnapshot) => Promise<void>} restore
+ *   Replace the memory of each session listed in a snapshot.
+ * @property {(overrides?: Partial<KimtenConfig>, options?: ForkOptions) => Promise<KimtenAgent>} fork
+ *   New instance with a copy of this one's memory and the same config, except for `overrides`.
+ */
+
+/**
+ * @typedef {object} ForgetOptions
+ * @property {boolean} [resetStats] Also reset `stats()` counters (kept by default).
+ */
+
+/**
+ * @typedef {object} ForkOptions
+ * @property {string[]} [copy] Sessions to copy (default: every open session); read from a custom store when not open.
+ */
+
+/**
+ * `retry()` options: play options, plus whether to reuse the original context and attachments.
+ *
+ * @typedef {PlayOptions & { reuseContext?: boolean }} RetryOptions
  */
 
 /**
@@ -80,6 +146,71 @@ import {
  * @property {number} [topP]
  * @property {number} [topK]
  * @property {number} [maxOutputTokens]
+ * @property {AbortSignal} [signal] Cancels the call (also while it is still queued).
+ * @property {number} [timeoutMs] Deadline for the whole call, including queue wait.
+ * @property {boolean} [detailed] Resolve to a {@link PlayDetailedResult} instead of the bare output.
+ * @property {import('./hooks.js').KimtenHooks} [hooks] Per-call hooks; replace config hooks of the same name.
+ * @property {number} [maxTokens] Token budget for this call, across all steps and attempts.
+ * @property {string} [session] Conversation to play in; each has its own memory and queue.
+ */
+
+/**
+ * Internal per-call state, also handed to toys as the AI SDK `experimental_context`.
+ *
+ * @typedef {object} PlayCall
+ * @property {ReturnType<typeof validatePlayOptions>} options Validated play options.
+ * @property {AbortSignal | undefined} signal
+ * @property {import('./sessions.js').Session} session Conversation this call plays in.
+ * @property {import('./memory.js').MemoryMessage[]} [history] Memory window read for this call.
+ * @property {import('./sessions.js').TurnRequest} [request] Input, context and attachments of this call.
+ * @property {boolean} [replacesLastTurn] Set by `retry()`: the committed turn replaces the newest one.
+ * @property {import('./hooks.js').KimtenHooks} hooks Effective hooks for this call.
+ * @property {number} step Index of the loop step currently running (per attempt).
+ * @property {number} toyRuns Toy results recorded by finished steps of the current attempt.
+ * @property {boolean} emitted Whether a stream event already reached the caller.
+ * @property {number} brain Index of the brain currently running the turn.
+ * @property {number} tokens Tokens spent by this call so far (all attempts).
+ * @property {import('./errors.js').KimtenBudgetError} [budgetError] Set when a budget cut the loop short.
+ * @property {import('./repair.js').BoxAttempt[]} [boxAttempts] Structured-output attempts of `play()` (with `box`).
+ * @property {string[]} [contextElided] Context paths shortened or dropped to fit `contextLimit`.
+ */
+
+/**
+ * Identifies which brain of the chain handled a turn.
+ *
+ * @typedef {object} BrainInfo
+ * @property {number} index Position in the `brain` chain (0 = primary).
+ * @property {string | undefined} provider
+ * @property {string | undefined} modelId
+ */
+
+/**
+ * Run metadata returned when `detailed: true` is passed.
+ *
+ * `toolCalls` / `toolResults` are collected across all steps, not only the last one.
+ *
+ * @typedef {object} PlayDetailedResult
+ * @property {any} output Same value `play()` would resolve to without `detailed`.
+ * @property {string} text Raw text of the final step.
+ * @property {Record<string, unknown>} usage Token usage of the final step.
+ * @property {Record<string, unknown>} totalUsage Token usage summed over all steps.
+ * @property {string} finishReason Why the loop stopped (`'tool-calls'` usually means `hops` was hit).
+ * @property {Array<Record<string, unknown>>} steps AI SDK step results.
+ * @property {Array<Record<string, unknown>>} toolCalls
+ * @property {Array<Record<string, unknown>>} toolResults
+ * @property {BrainInfo} brain Brain that produced the answer.
+ * @property {import('./repair.js').BoxAttempt[]} [attempts] With `box`: every structured-output attempt, the accepted one last.
+ */
+
+/**
+ * Streaming play handle.
+ *
+ * Iterate it for incremental events (`text` deltas, plus `partial` objects when
+ * `box` is configured); await `result` for the same value `play()` resolves to.
+ *
+ * @typedef {object} PlayStream
+ * @property {Promise<any>} result
+ * @property {() => AsyncIterator<import('./stream.js').PlayStreamEvent>} [Symbol.asyncIterator]
  */
 
 function toAssistantMemoryContent(result, box) {
@@ -95,6 +226,49 @@ function toAssistantMemoryContent(result, box) {
   return JSON.stringify(result.output ?? null);
 }
 
+/**
+ * Assistant and tool messages of every step, for `memory.includeToolSteps`.
+ *
+ * @param {{ response?: { messages?: Array<Record<string, any>> } }} result
+ * @returns {import('./memory.js').MemoryMessage[] | undefined} `undefined` when the result carries none.
+ */
+function toResponseMemoryMessages(result) {
+  const messages = result.response?.messages;
+  // Defensive fallback for SDK result-shape edge cases.
+  /* node:coverage ignore next 3 */
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return undefined;
+  }
+  return messages.map(({ role, content }) => ({ role, content }));
+}
+
+function toDetailedResult(result, output, brain, boxAttempts, contextElided) {
+  const steps = Array.isArray(result.steps) ? result.steps : [];
+  return {
+    output,
+    text: typeof result.text === 'string' ? result.text : '',
+    usage: result.usage,
+    totalUsage: result.totalUsage,
+    finishReason: result.finishReason,
+    steps,
+    toolCalls: steps.flatMap((step) => step.toolCalls ?? []),
+    toolResults: steps.flatMap((step) => step.toolResults ?? []),
+    brain,
+    ...(boxAttempts ? { attempts: boxAttempts } : {}),
+    ...(contextElided ? { contextElided } : {}),
+  };
+}
+
+function toText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return content
+    .filter((part) => part?.type === 'text')
+    .map((part) => part.text)
+    .join('');
+}
+
 function buildOutboundUserContent(effectiveInput, attachments) {
   return attachments.length > 0
     ? [{ type: 'text', text: effectiveInput }, ...attachments]
@@ -108,80 +282,901 @@ function buildOutboundUserContent(effectiveInput, attachments) {
  * @returns {KimtenAgent}
  */
 export function Kimten(config) {
-  const { brain, toys, name, personality, hops, box } = validateConfig(config);
-  const memory = createMemory();
-  const tools = normalizeToys(toys);
-  const instructions = buildSystemInstructions(personality, tools);
-  let playQueue = Promise.resolve();
-
-  const agent = new ToolLoopAgent({
-    model: brain,
-    instructions,
-    tools,
-    stopWhen: stepCountIs(hops),
-    ...(box ? { output: Output.object({ schema: box }) } : {}),
+  const {
+    brains,
+    toys,
+    name,
+    personality,
+    hops,
+    box,
+    schemaHint,
+    redact,
+    context: defaultContext,
+    contextBuiltins,
+    contextLimit,
+    contextFormat,
+    templates,
+    hooks,
+    retry,
+    repair,
+    budget,
+    sessions,
+    memory,
+    summaryBrain,
+  } = validateConfig(config);
+  // Kept for fork(); a shallow copy so later edits to the caller's object do not leak in.
+  const baseConfig = { ...config };
+  const memoryStore = memory.store;
+  const sessionStore = createSessionStore(sessions, (id) => createSessionMemory(memoryStore, id, memory.window));
+  const usageStats = createStats(name);
+  // Settles once the latest forget() of every session is done with the custom
+  // store; calls queued after it wait, so the clear never wipes their turns.
+  let storeClearing = Promise.resolve();
+  // Calls past their up-front budget check that have not recorded a play yet,
+  // so sessions running side by side cannot overrun `maxPlays` together.
+  const playing = new Set();
+  const tools = normalizeToys(toys, {
+    onToolCall(event, call) {
+      usageStats.recordToyCall(event.toolName);
+      emitHook(call?.hooks, 'onToolCall', {
+        name,
+        step: call?.step,
+        toolName: event.toolName,
+        toolCallId: event.toolCallId,
+        args: redactValue(event.args, redact),
+      });
+    },
+    onToolResult(event, call) {
+      emitHook(call?.hooks, 'onToolResult', {
+        name,
+        step: call?.step,
+        toolName: event.toolName,
+        toolCallId: event.toolCallId,
+        args: redactValue(event.args, redact),
+        result: redactValue(event.result, redact),
+        durationMs: event.durationMs,
+      });
+    },
   });
+  const instructions = buildSystemInstructions(personality, tools);
+  const output = box ? createBoxOutput(box) : undefined;
+  const hopLimit = stepCountIs(hops);
+
+  // With `retry` (or a fallback chain for the agents), Kimten owns the retry
+  // timing: the SDK's own retries are off.
+  const sdkRetries = retry ? { maxRetries: 0 } : {};
+  const agentRetries = brains.length > 1 ? { maxRetries: 0 } : sdkRetries;
+
+  // One agent per brain; later ones only run when earlier ones fail a turn.
+  const agents = brains.map(
+    (model) =>
+      new ToolLoopAgent({
+        model,
+        instructions,
+        tools,
+        stopWhen: hopLimit,
+        ...agentRetries,
+        ...(output ? { output } : {}),
+      })
+  );
 
   /**
-   * Run the agent loop.
+   * @param {number} index
+   * @returns {BrainInfo}
+   */
+  function describeBrain(index) {
+    const model = brains[index];
+    return {
+      index,
+      provider: typeof model.provider === 'string' ? model.provider : undefined,
+      modelId: typeof model.modelId === 'string' ? model.modelId : undefined,
+    };
+  }
+
+  /**
+   * Check instance budgets (and the call's `maxTokens`) against current usage.
    *
-   * - Stores the conversation in short-term memory (in-process, per instance).
-   * - If `box` was configured at initiation, returns structured output.
+   * By default a limit that is merely reached counts as exhausted (nothing left
+   * to spend); `overOnly` only reports limits that were actually overrun. Other
+   * calls still in flight count as plays already made.
+   *
+   * @param {PlayCall} call
+   * @param {{ overOnly?: boolean }} [options]
+   */
+  function checkBudget(call, options = undefined) {
+    const { totalTokens, plays, toyCalls } = usageStats.snapshot();
+    const usage = {
+      totalTokens,
+      plays: plays + playing.size - (playing.has(call) ? 1 : 0),
+      toyCalls: Object.values(toyCalls).reduce((sum, count) => sum + count, 0),
+      callTokens: call.tokens,
+    };
+    return findBudgetError(budget, call.options.maxTokens, usage, options);
+  }
+
+  /**
+   * Validate call input and build the AI SDK call settings for one turn.
    *
    * @param {string} input
-   * @param {Record<string, unknown> | null} [context]
-   * @param {PlayOptions} [options]
-   * @returns {Promise<any>}
+   * @param {Record<string, unknown> | null} context
+   * @param {PlayCall} call
    */
-  async function playOnce(input, context = null, options = undefined) {
+  async function prepareTurn(input, context, call) {
     if (typeof input !== 'string') {
       throw new TypeError('Kimten play(input) expects input to be a string.');
     }
 
-    const { attachments, callOptions } = validatePlayOptions(options);
+    const { attachments, callOptions } = call.options;
+    call.request ??= { input, context, attachments };
     const resolvedAttachments = await resolveAttachmentPayloads(attachments);
 
-    // Serialize provided context (redacts sensitive keys and truncates if too long).
-    const serializedContext = serializeContext(context);
-    const effectiveInput = buildEffectiveInput(input, serializedContext, box);
+    // Instance context and built-ins go under the call's own context.
+    const mergedContext = await resolveCallContext(context, { context: defaultContext, builtins: contextBuiltins });
+
+    // Serialize provided context (redacts sensitive keys and values, shortens it to fit the limit).
+    const fittedContext = fitSerializedContext(mergedContext, redact, contextLimit, contextFormat);
+    const serializedContext = fittedContext.text;
+    call.contextElided = mergedContext === null || mergedContext === undefined ? undefined : fittedContext.elided;
+    const effectiveInput = buildEffectiveInput(input, serializedContext, box, schemaHint, contextFormat);
     const outboundUserContent = buildOutboundUserContent(effectiveInput, resolvedAttachments);
 
     // Build outbound messages from memory snapshot and current user turn,
     // but commit to memory only after a successful generation.
-    const fetchedMessages = [...memory.list(), { role: 'user', content: input }];
+    call.history ??= await call.session.memory.list();
+    const fetchedMessages = [...call.history, { role: 'user', content: input }];
 
     // Keep raw user text in memory but enrich the outbound last user message for this call.
     const messages = buildMessagesForAgent(fetchedMessages, effectiveInput, input, outboundUserContent);
 
-    // Run the agent loop with the prepared messages.
-    const result = await agent.generate({ messages, ...callOptions });
+    return {
+      messages,
+      ...(call.session.summary
+        ? { instructions: buildSummarizedInstructions(instructions, call.session.summary) }
+        : {}),
+      ...callOptions,
+      abortSignal: call.signal,
+      experimental_context: call,
+      ...(budget || call.options.maxTokens !== undefined
+        ? {
+            stopWhen: [
+              hopLimit,
+              () => {
+                call.budgetError ??= checkBudget(call);
+                return call.budgetError !== undefined;
+              },
+            ],
+          }
+        : {}),
+      onStepFinish(stepResult) {
+        call.tokens += usageStats.recordUsage(brains[call.brain].modelId, stepResult.usage);
+        emitHook(call.hooks, 'onStepFinish', {
+          name,
+          brain: describeBrain(call.brain),
+          step: call.step,
+          finishReason: stepResult.finishReason,
+          text: stepResult.text,
+          usage: stepResult.usage,
+          toolCalls: (stepResult.toolCalls ?? []).map((toolCall) => ({
+            toolName: toolCall.toolName,
+            toolCallId: toolCall.toolCallId,
+            args: redactValue(toolCall.input, redact),
+          })),
+          toolResults: (stepResult.toolResults ?? []).map((toolResult) => ({
+            toolName: toolResult.toolName,
+            toolCallId: toolResult.toolCallId,
+            result: redactValue(toolResult.output, redact),
+          })),
+        });
+        call.step += 1;
+        call.toyRuns += stepResult.toolResults?.length ?? 0;
+      },
+    };
+  }
+
+  /**
+   * Commit a successful turn to memory and shape the public return value.
+   *
+   * @param {string} input
+   * @param {{ text?: string, output?: unknown }} result AI SDK generate/stream result.
+   * @param {PlayCall} call
+   */
+  async function commitTurn(input, result, call) {
+    // A call aborted mid-flight must leave memory untouched, even if the
+    // provider finished anyway.
+    call.signal?.throwIfAborted();
+
+    // Spend beyond a budget rejects instead of resolving, even if the loop finished.
+    const budgetError = call.budgetError ?? checkBudget(call, { overOnly: true });
+    if (budgetError) {
+      throw budgetError;
+    }
 
     const assistantContent = toAssistantMemoryContent(result, box);
 
-    memory.add({ role: 'user', content: input });
-    memory.add({ role: 'assistant', content: assistantContent });
+    // One add() per turn, so a failing store never keeps half a turn (and a
+    // tool call never lands in memory without its result).
+    const replies = (memory.includeToolSteps && toResponseMemoryMessages(result)) || [
+      { role: 'assistant', content: assistantContent },
+    ];
+    const turn = [{ role: 'user', content: input }, ...replies];
+    if (call.replacesLastTurn) {
+      await call.session.memory.popTurn();
+    }
+    await call.session.memory.add(turn);
+    call.session.lastTurn = call.request;
+    playing.delete(call);
+    usageStats.recordPlay();
+    if (summaryBrain) {
+      scheduleSummary(call, evictedBy(call.history ?? [], turn));
+    }
 
-    return box ? result.output : assistantContent;
+    const output = box ? result.output : assistantContent;
+    const brain = describeBrain(call.brain);
+    emitHook(call.hooks, 'onFinish', {
+      name,
+      brain,
+      output,
+      text: typeof result.text === 'string' ? result.text : '',
+      finishReason: result.finishReason,
+      usage: result.usage,
+      totalUsage: result.totalUsage,
+      stepCount: call.step,
+    });
+
+    return call.options.detailed ? toDetailedResult(result, output, brain, call.boxAttempts, call.contextElided) : output;
   }
 
-  async function play(input, context = null, options = undefined) {
-    const run = playQueue.then(() => playOnce(input, context, options));
-    playQueue = run.catch(() => {});
+  /**
+   * Messages that fall out of the memory window once `turn` is added.
+   *
+   * @param {import('./memory.js').MemoryMessage[]} history
+   * @param {import('./memory.js').MemoryMessage[]} turn
+   */
+  function evictedBy(history, turn) {
+    return splitWindow([...history, ...turn], memory.window).evicted;
+  }
+
+  /**
+   * Fold evicted messages into the session's running summary in the background.
+   *
+   * The next call on the session waits for it. The update gets the evicting
+   * call's `signal` and `timeoutMs`; a failed update is reported to `onError`
+   * (with `summary: true`), keeps the previous summary and retries the pending
+   * messages on the next eviction.
+   *
+   * @param {PlayCall} call The call whose turn evicted the messages.
+   * @param {import('./memory.js').MemoryMessage[]} evicted
+   */
+  function scheduleSummary(call, evicted) {
+    if (evicted.length === 0) {
+      return;
+    }
+
+    const { session } = call;
+    const pending = [...session.unsummarized, ...evicted];
+    session.unsummarized = pending;
+    const { signal, dispose } = createCallSignal(call.options.signal, call.options.timeoutMs);
+    session.summarizing = runWithRetry(
+      () =>
+        summarizeTurns({
+          model: summaryBrain,
+          previousSummary: session.summary,
+          messages: pending,
+          abortSignal: signal,
+          ...sdkRetries,
+        }),
+      { retry, signal }
+    )
+      .then(
+        ({ summary, usage }) => {
+          usageStats.recordUsage(summaryBrain.modelId, usage);
+          // forget()/restore() in the meantime win over this update.
+          if (session.unsummarized === pending) {
+            session.summary = summary;
+            session.unsummarized = [];
+          }
+        },
+        (error) => {
+          emitHook(call.hooks, 'onError', { name, summary: true, error });
+        }
+      )
+      .finally(dispose);
+  }
+
+  /**
+   * Run the agent loop.
+   *
+   * - Stores the conversation in short-term memory (in-process, per session).
+   * - If `box` was configured at initiation, returns structured output.
+   *
+   * @param {string} input
+   * @param {Record<string, unknown> | null} context
+   * @param {PlayCall} call
+   * @returns {Promise<any>}
+   */
+  async function playOnce(input, context, call) {
+    const settings = await prepareTurn(input, context, call);
+
+    // Run the agent loop with the prepared messages (replayed as-is on retry/fallback).
+    // Invalid `box` output is repaired on the brain that produced it, before any fallback.
+    if (box) {
+      call.boxAttempts = [];
+    }
+    const result = await runTurn(
+      call,
+      (agent) => runRepairing(call, settings, (attemptSettings) => agent.generate(attemptSettings)),
+      () => canReplay(call)
+    );
+
+    return commitTurn(input, result, call);
+  }
+
+  /**
+   * Run a turn; when `box` output fails validation, send the problems back
+   * to the model as a corrective follow-up, up to `repair.attempts` times.
+   *
+   * Rejected replies never reach memory: only the final result is committed.
+   * A repair re-runs the loop, so like a retry it is skipped once toys ran in
+   * a finished step, unless `retry.replayToys` allows it.
+   *
+   * @param {PlayCall} call
+   * @param {Record<string, any>} settings
+   * @param {(settings: Record<string, any>) => Promise<any>} run
+   * @returns {Promise<any>}
+   */
+  async function runRepairing(call, settings, run) {
+    let messages = settings.messages;
+    for (let repairs = 0; ; repairs += 1) {
+      try {
+        const result = await run({ ...settings, messages });
+        call.boxAttempts?.push({ text: typeof result.text === 'string' ? result.text : '', issues: [] });
+        return result;
+      } catch (error) {
+        const failure = box ? findBoxFailure(error) : undefined;
+        if (!failure) {
+          throw error;
+        }
+
+        call.boxAttempts.push(failure);
+        if (repairs >= (repair?.attempts ?? 0) || call.signal?.aborted || !canReplay(call)) {
+          throw error;
+        }
+
+        const budgetError = call.budgetError ?? checkBudget(call);
+        if (budgetError) {
+          throw budgetError;
+        }
+
+        messages = [
+          ...messages,
+          ...(failure.text ? [{ role: 'assistant', content: failure.text }] : []),
+          { role: 'user', content: buildRepairPrompt(failure.issues, box, schemaHint) },
+        ];
+      }
+    }
+  }
+
+  /**
+   * Streaming counterpart of `playOnce()`.
+   *
+   * Text deltas (and partial `box` objects) are pushed to `channel` as they
+   * arrive; memory is committed only once the stream has finished cleanly.
+   *
+   * @param {string} input
+   * @param {Record<string, unknown> | null} context
+   * @param {PlayCall} call
+   * @param {import('./stream.js').EventChannel} channel
+   * @returns {Promise<any>}
+   */
+  async function streamOnce(input, context, call, channel) {
+    const settings = await prepareTurn(input, context, call);
+
+    // Once an event has reached the caller a retry would duplicate output.
+    const result = await runTurn(
+      call,
+      (agent) => streamAttempt(agent, settings, call, channel),
+      () => !call.emitted && canReplay(call)
+    );
+
+    return commitTurn(input, result, call);
+  }
+
+  /**
+   * Consume one streaming attempt, forwarding events to `channel`.
+   *
+   * @param {ToolLoopAgent} agent
+   * @param {Record<string, unknown>} settings
+   * @param {PlayCall} call
+   * @param {import('./stream.js').EventChannel} channel
+   */
+  async function streamAttempt(agent, settings, call, channel) {
+    // Errors are rethrown from the `error` part below, so silence the SDK's
+    // default console logging for them.
+    const stream = await agent.stream({ ...settings, onError() {} });
+
+    let stepText = '';
+    let lastPartial;
+    for await (const part of stream.fullStream) {
+      if (part.type === 'error') {
+        throw part.error;
+      }
+
+      if (part.type === 'start-step') {
+        stepText = '';
+        continue;
+      }
+
+      if (part.type !== 'text-delta') {
+        continue;
+      }
+
+      call.emitted = true;
+      channel.push({ type: 'text', text: part.text });
+
+      if (output) {
+        stepText += part.text;
+        const parsed = await output.parsePartialOutput({ text: stepText });
+        if (parsed && !isDeepEqualData(parsed.partial, lastPartial)) {
+          lastPartial = parsed.partial;
+          channel.push({ type: 'partial', output: parsed.partial });
+        }
+      }
+    }
+
+    return {
+      text: await stream.text,
+      ...(output ? { output: await stream.output } : {}),
+      usage: await stream.usage,
+      totalUsage: await stream.totalUsage,
+      finishReason: await stream.finishReason,
+      steps: await stream.steps,
+      response: await stream.response,
+    };
+  }
+
+  /**
+   * Run one turn on the brain chain: retry each brain per the `retry` policy,
+   * then fall back to the next brain while `canRetry()` still allows a replay.
+   *
+   * @param {PlayCall} call
+   * @param {(agent: ToolLoopAgent) => Promise<any>} attempt
+   * @param {() => boolean} canRetry
+   * @returns {Promise<any>}
+   */
+  async function runTurn(call, attempt, canRetry) {
+    const errors = [];
+
+    for (let index = 0; index < agents.length; index += 1) {
+      call.brain = index;
+      try {
+        return await runWithRetry(
+          () => {
+            startAttempt(call);
+            return attempt(agents[index]);
+          },
+          { retry, signal: call.signal, canRetry }
+        );
+      } catch (error) {
+        // The budget is spent for the whole call, not just this brain.
+        if (error instanceof KimtenBudgetError) {
+          call.budgetError = error;
+          throw error;
+        }
+        errors.push(error);
+        const isLast = index === agents.length - 1;
+        if (isLast || call.signal?.aborted || !canRetry()) {
+          throw errors.length > 1 ? new KimtenFallbackError(errors) : error;
+        }
+      }
+    }
+  }
+
+  function startAttempt(call) {
+    call.step = 0;
+    call.toyRuns = 0;
+  }
+
+  /**
+   * Replaying a turn re-runs the whole loop, so toys that already ran in a
+   * finished step would run again; only allowed when explicitly opted in.
+   *
+   * @param {PlayCall} call
+   */
+  function canReplay(call) {
+    return call.toyRuns === 0 || retry?.replayToys === true;
+  }
+
+  /**
+   * Validate options up front and queue `job` behind earlier calls of the
+   * same session (different sessions run concurrently).
+   *
+   * An aborted call rejects right away and releases its queue slot, whether it
+   * is still waiting or already running; it never commits to memory.
+   *
+   * @param {PlayOptions | undefined} options
+   * @param {(call: PlayCall) => Promise<any>} job
+   * @returns {Promise<any>}
+   */
+  function enqueue(options, job) {
+    let playOptions;
+    try {
+      playOptions = validatePlayOptions(options);
+    } catch (error) {
+      emitHook(hooks, 'onError', { name, error });
+      return Promise.reject(error);
+    }
+
+    const { signal, dispose } = createCallSignal(playOptions.signal, playOptions.timeoutMs);
+    const session = sessionStore.acquire(playOptions.session ?? DEFAULT_SESSION);
+    /** @type {PlayCall} */
+    const call = {
+      options: playOptions,
+      signal,
+      session,
+      hooks: mergeHooks(hooks, playOptions.hooks),
+      step: 0,
+      toyRuns: 0,
+      emitted: false,
+      brain: 0,
+      tokens: 0,
+    };
+    const previous = session.queue;
+    const clearing = storeClearing;
+    const turn = previous.then(async () => {
+      await raceAbort(clearing, signal);
+      await raceAbort(session.summarizing, signal);
+      signal?.throwIfAborted();
+      const budgetError = checkBudget(call);
+      if (budgetError) {
+        throw budgetError;
+      }
+      playing.add(call);
+      try {
+        return await job(call);
+      } finally {
+        playing.delete(call);
+      }
+    });
+    const run = raceAbort(turn, signal);
+    run.then(
+      () => {
+        dispose();
+        sessionStore.release(session);
+      },
+      (error) => {
+        dispose();
+        sessionStore.release(session);
+        usageStats.recordFailure();
+        emitHook(call.hooks, 'onError', { name, brain: describeBrain(call.brain), step: call.step, error });
+      }
+    );
+    // An aborted call gives up only its own slot: the next one still waits
+    // for whatever was queued ahead of it.
+    session.queue = Promise.allSettled([previous, run]).then(() => {});
     return run;
   }
 
+  async function play(input, context = null, options = undefined) {
+    return enqueue(options, (call) => playOnce(input, context, call));
+  }
+
+  /**
+   * Render the `name` template with `vars` and play the result. Memory keeps
+   * the rendered text, like any other input.
+   *
+   * @param {string} name
+   * @param {Record<string, unknown>} vars
+   * @param {Record<string, unknown> | null} [context]
+   * @param {PlayOptions} [options]
+   * @returns {Promise<any>}
+   */
+  async function playTemplate(name, vars, context = null, options = undefined) {
+    return play(renderTemplate(templates, name, vars), context, options);
+  }
+
+  /**
+   * Run the agent loop and stream incremental output.
+   *
+   * Streaming runs share the same per-session queue as `play()`, so they start
+   * only once earlier calls on that session have settled.
+   *
+   * @param {string} input
+   * @param {Record<string, unknown> | null} [context]
+   * @param {PlayOptions} [options]
+   * @returns {PlayStream}
+   */
+  function playStream(input, context = null, options = undefined) {
+    const channel = createEventChannel();
+    const result = enqueue(options, (call) => streamOnce(input, context, call, channel));
+    result.then(() => channel.close(), (error) => channel.fail(error));
+
+    return {
+      result,
+      [Symbol.asyncIterator]() {
+        return channel[Symbol.asyncIterator]();
+      },
+    };
+  }
+
+  /**
+   * Clear short-term memory of one session, or of every session.
+   *
+   * Waits for calls already queued on the sessions it clears, like `undo()`.
+   * Usage stats survive unless `resetStats` is set.
+   *
+   * @param {string | ForgetOptions} [session] Session id; omit to clear all sessions.
+   * @param {ForgetOptions} [options]
+   * @returns {Promise<void>} Settles once the memory store has cleared.
+   */
+  function forget(session = undefined, options = undefined) {
+    if (isPlainObject(session)) {
+      options = session;
+      session = undefined;
+    }
+
+    if (session !== undefined && session !== null) {
+      validateSessionId(session, 'Kimten forget(session)');
+    }
+
+    if (options !== undefined && options !== null) {
+      if (!isPlainObject(options)) {
+        throw new TypeError('Kimten forget(options) expects options to be a plain object when provided.');
+      }
+      if (options.resetStats !== undefined && typeof options.resetStats !== 'boolean') {
+        throw new TypeError('Kimten forget(options) option "resetStats" must be a boolean when provided.');
+      }
+    }
+
+    if (options?.resetStats) {
+      usageStats.reset();
+    }
+
+    // Like undo(), each session is cleared once the calls queued on it have settled.
+    if (session !== undefined && session !== null) {
+      // Opening a session just to clear it could evict another one.
+      if (!sessionStore.list().some((entry) => entry.id === session)) {
+        return Promise.resolve(memoryStore?.clear(session)).then(() => {});
+      }
+      return queueOnSession(session, (entry) => sessionStore.clear(entry), { discard: true });
+    }
+
+    const open = sessionStore
+      .list()
+      .map((entry) => queueOnSession(entry.id, (queued) => sessionStore.clear(queued), { discard: true }));
+    if (!memoryStore) {
+      return Promise.all(open).then(() => {});
+    }
+    // Custom stores may also hold sessions this instance never opened.
+    const cleared = Promise.allSettled(open).then(() => memoryStore.clear());
+    storeClearing = cleared.then(
+      () => {},
+      () => {}
+    );
+    return Promise.all([...open, cleared]).then(() => {});
+  }
+
   /**
-   * Clear short-term memory for this instance.
+   * Remove the newest turn (user input and everything answering it) from memory.
+   *
+   * Waits for calls already queued on the session, so it never removes a turn
+   * that is still being played.
    *
-   * @returns {void}
+   * @param {string} [session] Session id (default: the default session).
+   * @returns {Promise<boolean>} Whether a turn was removed.
    */
-  function forget() {
-    memory.clear();
+  function undo(session = undefined) {
+    if (session !== undefined && session !== null) {
+      validateSessionId(session, 'Kimten undo(session)');
+    }
+
+    return queueOnSession(session ?? DEFAULT_SESSION, async (entry) => {
+      const removed = await entry.memory.popTurn();
+      entry.lastTurn = undefined;
+      return removed.length > 0;
+    });
+  }
+
+  /**
+   * Run `job` on a session once the calls already queued on it have settled
+   * and its pending summary update has landed; later calls wait for `job`.
+   *
+   * @template T
+   * @param {string} id
+   * @param {(session: import('./sessions.js').Session) => Promise<T>} job
+   * @param {{ discard?: boolean }} [options] `discard` drops the session afterwards unless other calls are pending.
+   * @returns {Promise<T>}
+   */
+  function queueOnSession(id, job, { discard = false } = {}) {
+    const entry = sessionStore.acquire(id);
+    const clearing = storeClearing;
+    const done = entry.queue.then(async () => {
+      await clearing;
+      await entry.summarizing;
+      return job(entry);
+    });
+    const settle = () => (discard ? sessionStore.discard(entry) : sessionStore.release(entry));
+    done.then(settle, settle);
+    entry.queue = done.then(
+      () => {},
+      () => {}
+    );
+    return done;
+  }
+
+  /**
+   * Re-run the newest user input of a session and replace its reply.
+   *
+   * The original context and attachments are reused only with
+   * `reuseContext: true` (attachments passed in `options` still win). Memory
+   * keeps the previous reply until the new one succeeds.
+   *
+   * @param {RetryOptions} [options]
+   * @returns {Promise<any>}
+   */
+  function retryTurn(options = undefined) {
+    let playOptions = options;
+    let reuseContext = false;
+    if (isPlainObject(options) && 'reuseContext' in options) {
+      ({ reuseContext, ...playOptions } = options);
+      if (typeof reuseContext !== 'boolean') {
+        return Promise.reject(
+          new TypeError('Kimten retry(options) option "reuseContext" must be a boolean when provided.')
+        );
+      }
+    }
+
+    return enqueue(playOptions, (call) => retryOnce(call, reuseContext));
+  }
+
+  /**
+   * @param {PlayCall} call
+   * @param {boolean} reuseContext
+   */
+  async function retryOnce(call, reuseContext) {
+    const history = await call.session.memory.list();
+    const start = lastTurnStart(history);
+    if (start === -1) {
+      throw new Error(`Kimten retry() found no turn to retry in session "${call.session.id}".`);
+    }
+
+    // The window may have cut a long input; replay it whole.
+    const input = toText(untruncated(history[start]).content);
+    // Context is only known for turns played by this instance since the last
+    // undo/restore. Later retries keep referring to the original request.
+    const original = call.session.lastTurn?.input === input ? call.session.lastTurn : undefined;
+    if (reuseContext && original && call.options.attachments.length === 0) {
+      call.options = { ...call.options, attachments: original.attachments };
+    }
+
+    call.history = history.slice(0, start);
+    call.request = original;
+    call.replacesLastTurn = true;
+    return playOnce(input, reuseContext ? original?.context ?? null : null, call);
+  }
+
+  /**
+   * Cumulative usage for this instance (optionally priced per modelId).
+   *
+   * @param {{ prices?: Record<string, import('./stats.js').ModelPrice> }} [options]
+   * @returns {import('./stats.js').KimtenStats}
+   */
+  function stats(options = undefined) {
+    return usageStats.snapshot(options);
+  }
+
+  /**
+   * Export conversation memory as versioned, JSON-serializable data.
+   *
+   * @param {string} [session] Only this session; omit for every session.
+   * @returns {Promise<import('./snapshot.js').MemorySnapshot>}
+   */
+  function snapshot(session = undefined) {
+    if (session === undefined) {
+      return snapshotOpenSessions(sessionStore.list());
+    }
+
+    validateSessionId(session, 'Kimten snapshot(session)');
+    return snapshotOpenSessions(findSessions([session]));
+  }
+
+  /**
+   * Sessions by id: open ones, or else as read from a custom store (which may
+   * hold sessions this instance has not opened yet, or has evicted).
+   *
+   * @param {string[]} ids
+   */
+  function findSessions(ids) {
+    const open = new Map(sessionStore.list().map((entry) => [entry.id, entry]));
+    return ids.flatMap(
+      (id) => open.get(id) ?? (memoryStore ? [{ id, memory: createSessionMemory(memoryStore, id, memory.window) }] : [])
+    );
+  }
+
+  /**
+   * Snapshot sessions once their pending summary updates have landed.
+   *
+   * @param {Array<import('./sessions.js').Session | { id: string, memory: import('./memory.js').SessionMemory }>} open
+   */
+  async function snapshotOpenSessions(open) {
+    await Promise.all(open.map((session) => session.summarizing));
+    return createSnapshot(open);
+  }
+
+  /**
+   * Load memory saved by `snapshot()`.
+   *
+   * Each session listed in the snapshot has its memory replaced, once the
+   * calls already queued on it have settled (like `undo()`); other sessions
+   * are left alone. Nothing changes if the snapshot is invalid.
+   *
+   * @param {import('./snapshot.js').MemorySnapshot} data
+   * @returns {Promise<void>}
+   */
+  function restore(data) {
+    const { sessions: saved, summaries = {} } = validateSnapshot(data);
+    return Promise.all(
+      Object.entries(saved).map(([id, messages]) => restoreSession(id, messages, summaries[id]))
+    ).then(() => {});
+  }
+
+  /**
+   * Branch this instance: same config (minus `overrides`), copied memory.
+   *
+   * Open sessions are copied; `options.copy` names the sessions to copy
+   * instead, read from a custom store when they are not open. The fork keeps
+   * memory in its own process-local window (same limits), so it never writes
+   * into this instance's store; pass `memory` to change that. Stats and
+   * budgets start from zero.
+   *
+   * @param {Partial<KimtenConfig>} [overrides]
+   * @param {ForkOptions} [options]
+   * @returns {Promise<KimtenAgent>} Settles once memory (and summaries) are copied.
+   */
+  function fork(overrides = undefined, options = undefined) {
+    if (overrides !== undefined && overrides !== null && !isPlainObject(overrides)) {
+      throw new TypeError('Kimten fork(overrides) expects overrides to be a plain object when provided.');
+    }
+    if (options !== undefined && options !== null) {
+      if (!isPlainObject(options)) {
+        throw new TypeError('Kimten fork(overrides, options) expects options to be a plain object when provided.');
+      }
+      if (options.copy !== undefined && !Array.isArray(options.copy)) {
+        throw new TypeError('Kimten fork(overrides, options) option "copy" must be an array of session ids when provided.');
+      }
+      options.copy?.forEach((id) => validateSessionId(id, 'Kimten fork(overrides, { copy })'));
+    }
+    const copy = options?.copy;
+
+    const child = Kimten({
+      ...baseConfig,
+      memory: { ...memory.window, includeToolSteps: memory.includeToolSteps },
+      ...overrides,
+    });
+    const copied = copy === undefined ? snapshot() : snapshotOpenSessions(findSessions([...new Set(copy)]));
+    return copied.then((data) => child.restore(data)).then(() => child);
+  }
+
+  function restoreSession(id, messages, summary) {
+    return queueOnSession(id, async (session) => {
+      session.summary = summary;
+      session.unsummarized = [];
+      session.lastTurn = undefined;
+      await session.memory.clear();
+      await session.memory.add(messages.map(({ role, content }) => ({ role, content: structuredClone(content) })));
+    });
   }
 
   return {
     ...(name !== undefined ? { name } : {}),
     play,
+    playStream,
+    playTemplate,
     forget,
+    undo,
+    retry: retryTurn,
+    stats,
+    snapshot,
+    restore,
+    fork,
   };
 }
@@ -0,0 +1,288 @@
+import { isPlainObject } from './guards.js';
+
+const WINDOW_KEYS = ['maxMessages', 'maxTokens', 'estimator'];
+
+/**
+ * Limits for the short-term memory window.
+ *
+ * @typedef {object} MemoryWindow
+ * @property {number} maxMessages Max messages kept.
+ * @property {number | undefined} maxTokens Max estimated tokens kept.
+ * @property {(text: string) => number} estimator Token estimate for a piece of text.
+ */
+
+/**
+ * Default estimator: roughly four characters per token.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function validatePositiveInteger(value, key) {
+  if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+    throw new TypeError(`Kimten config "memory.${key}" must be a positive integer when provided.`);
+  }
+}
+
+/**
+ * @param {Record<string, unknown>} options Window keys from `Kimten({ memory })`.
+ * @param {number} defaultMaxMessages
+ * @returns {MemoryWindow}
+ */
+export function validateMemoryWindow(options, defaultMaxMessages) {
+  const { maxMessages = defaultMaxMessages, maxTokens = undefined, estimator = estimateTokens } = options;
+
+  validatePositiveInteger(maxMessages, 'maxMessages');
+  validatePositiveInteger(maxTokens, 'maxTokens');
+
+  if (typeof estimator !== 'function') {
+    throw new TypeError('Kimten config "memory.estimator" must be a function when provided.');
+  }
+
+  return { maxMessages, maxTokens, estimator };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isMemoryWindowOptions(value) {
+  return isPlainObject(value) && Object.keys(value).some((key) => WINDOW_KEYS.includes(key));
+}
+
+function estimateMessage(message, estimator) {
+  const text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? '');
+  const tokens = estimator(text);
+  if (typeof tokens !== 'number' || !Number.isFinite(tokens) || tokens < 0) {
+    throw new TypeError('Kimten memory estimator must return a non-negative number.');
+  }
+  return tokens;
+}
+
+/**
+ * Group messages into turns: each `user` message starts one, and everything
+ * up to the next `user` message belongs to it. Leading messages without a
+ * user message (e.g. an orphaned assistant reply) are dropped.
+ *
+ * @param {import('./memory.js').MemoryMessage[]} messages
+ * @returns {import('./memory.js').MemoryMessage[][]}
+ */
+function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user') {
+      turns.push([message]);
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Index of the user message that starts the newest turn, or -1 when there is none.
+ *
+ * @param {import('./memory.js').MemoryMessage[]} messages
+ * @returns {number}
+ */
+export function lastTurnStart(messages) {
+  return messages.findLastIndex((message) => message.role === 'user');
+}
+
+/** Truncated copies, mapped to the message they were cut from. */
+const truncatedFrom = new WeakMap();
+
+/**
+ * The message a window copy was cut from (or the message itself), so a replayed
+ * input never carries a `…(+N chars)` marker.
+ *
+ * @param {import('./memory.js').MemoryMessage} message
+ * @returns {import('./memory.js').MemoryMessage}
+ */
+export function untruncated(message) {
+  return truncatedFrom.get(message) ?? message;
+}
+
+function textLength(content) {
+  if (typeof content === 'string') {
+    return content.length;
+  }
+  return Array.isArray(content)
+    ? content.reduce((sum, part) => sum + (part?.type === 'text' && typeof part.text === 'string' ? part.text.length : 0), 0)
+    : 0;
+}
+
+/**
+ * Copy of `message` keeping the first `keep` characters of its text.
+ *
+ * @param {import('./memory.js').MemoryMessage} message
+ * @param {number} keep
+ * @returns {import('./memory.js').MemoryMessage}
+ */
+function truncateMessage(message, keep) {
+  const marker = `…(+${textLength(message.content) - keep} chars)`;
+  let content;
+  if (typeof message.content === 'string') {
+    content = `${message.content.slice(0, keep)}${marker}`;
+  } else {
+    let budget = keep;
+    let marked = false;
+    content = message.content.map((part) => {
+      if (part?.type !== 'text' || typeof part.text !== 'string') {
+        return part;
+      }
+      const text = part.text.slice(0, budget);
+      budget -= text.length;
+      if (text.length < part.text.length && !marked) {
+        marked = true;
+        return { ...part, text: `${text}${marker}` };
+      }
+      return { ...part, text };
+    });
+  }
+  const truncated = { ...message, content };
+  truncatedFrom.set(truncated, truncatedFrom.get(message) ?? message);
+  return truncated;
+}
+
+/**
+ * `message` with its text cut until its estimate is at most `cap` tokens
+ * (as far as text allows).
+ */
+function capMessage(message, cap, estimator) {
+  const length = textLength(message.content);
+  if (length === 0 || estimateMessage(message, estimator) <= cap) {
+    return message;
+  }
+
+  let low = 0;
+  let high = length - 1;
+  let keep = 0;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (estimateMessage(truncateMessage(message, middle), estimator) <= cap) {
+      keep = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return truncateMessage(message, keep);
+}
+
+/**
+ * Cut the texts of a turn to fit `maxTokens`, longest first: every message is
+ * capped at the same (largest possible) size, so short ones stay whole.
+ * Best effort: messages without text are left alone.
+ */
+function truncateToTokens(turn, maxTokens, estimator) {
+  const tokensOf = (messages) => messages.reduce((sum, message) => sum + estimateMessage(message, estimator), 0);
+  if (tokensOf(turn) <= maxTokens) {
+    return turn;
+  }
+
+  let low = 0;
+  let high = Math.max(...turn.map((message) => estimateMessage(message, estimator)));
+  let best = turn.map((message) => capMessage(message, 0, estimator));
+  while (low <= high) {
+    const cap = Math.floor((low + high) / 2);
+    const capped = turn.map((message) => capMessage(message, cap, estimator));
+    if (tokensOf(capped) <= maxTokens) {
+      best = capped;
+      low = cap + 1;
+    } else {
+      high = cap - 1;
+    }
+  }
+  return best;
+}
+
+/**
+ * Fit the newest turn on its own: tool steps go first, oldest first (each
+ * assistant step together with its tool results), then long texts are cut.
+ * The user message and the final reply always stay.
+ */
+function fitNewestTurn(turn, { maxMessages, maxTokens, estimator }) {
+  const [user, ...replies] = turn;
+  const steps = [];
+  for (const message of replies) {
+    if (message.role === 'assistant' || steps.length === 0) {
+      steps.push([message]);
+    } else {
+      steps[steps.length - 1].push(message);
+    }
+  }
+
+  const tokensOf = (messages) => messages.reduce((sum, message) => sum + estimateMessage(message, estimator), 0);
+  const fits = (messages) =>
+    messages.length <= maxMessages && (maxTokens === undefined || tokensOf(messages) <= maxTokens);
+
+  while (steps.length > 1 && !fits([user, ...steps.flat()])) {
+    steps.shift();
+  }
+
+  const kept = [user, ...steps.flat()];
+  return maxTokens === undefined ? kept : truncateToTokens(kept, maxTokens, estimator);
+}
+
+/**
+ * Messages kept by the window, and the ones it evicts.
+ *
+ * @typedef {object} WindowSplit
+ * @property {import('./memory.js').MemoryMessage[]} kept Oldest first; long texts of the newest turn may be cut.
+ * @property {import('./memory.js').MemoryMessage[]} evicted Dropped messages, oldest first.
+ */
+
+/**
+ * Keep the newest whole turns that fit the window, oldest first.
+ *
+ * The newest turn is always kept, so one oversized turn never empties memory:
+ * its oldest tool steps are dropped first (each with its results), then its
+ * longest texts are cut (`…(+N chars)`).
+ *
+ * @param {import('./memory.js').MemoryMessage[]} messages Oldest first.
+ * @param {MemoryWindow} window
+ * @returns {WindowSplit}
+ */
+export function splitWindow(messages, window) {
+  const { maxMessages, maxTokens, estimator } = window;
+  const turns = splitTurns(messages);
+  const kept = [];
+  let messageCount = 0;
+  let tokenCount = 0;
+
+  for (let index = turns.length - 1; index >= 0; index -= 1) {
+    const turn = kept.length === 0 ? fitNewestTurn(turns[index], window) : turns[index];
+    const turnTokens =
+      maxTokens === undefined ? 0 : turn.reduce((sum, message) => sum + estimateMessage(message, estimator), 0);
+
+    if (
+      kept.length > 0 &&
+      (messageCount + turn.length > maxMessages || (maxTokens !== undefined && tokenCount + turnTokens > maxTokens))
+    ) {
+      break;
+    }
+
+    kept.unshift(turn);
+    messageCount += turn.length;
+    tokenCount += turnTokens;
+  }
+
+  const flat = kept.flat();
+  const sources = new Set(flat.map(untruncated));
+  return { kept: flat, evicted: messages.filter((message) => !sources.has(message)) };
+}
+
+/**
+ * Keep the newest whole turns that fit the window, oldest first.
+ *
+ * @param {import('./memory.js').MemoryMessage[]} messages Oldest first.
+ * @param {MemoryWindow} window
+ * @returns {import('./memory.js').MemoryMessage[]}
+ */
+export function fitWindow(messages, window) {
+  return splitWindow(messages, window).kept;
+}
@@ -1,5 +1,10 @@
+import { isPlainObject } from './guards.js';
+import { estimateTokens, fitWindow, isMemoryWindowOptions, lastTurnStart, validateMemoryWindow } from './memory-window.js';
+
 export const MEMORY_LIMIT = 10;
 
+const MEMORY_OPTION_KEYS = ['store', 'includeToolSteps'];
+
 /**
  * A single chat message stored in short-term memory.
  *
@@ -9,33 +14,33 @@ export const MEMORY_LIMIT = 10;
  */
 
 /**
- * Short-term FIFO memory store (sliding window).
+ * Short-term memory store (sliding window of whole turns).
  *
  * @typedef {object} MemoryStore
- * @property {(message: MemoryMessage) => void} add
+ * @property {(...messages: MemoryMessage[]) => void} add Add messages (e.g. a whole turn) at once.
  * @property {() => MemoryMessage[]} list
  * @property {() => void} clear
+ * @property {() => MemoryMessage[]} popTurn Remove the newest turn and return its messages.
  */
 
 /**
- * Create a short-term FIFO memory store.
+ * Create a short-term memory store.
+ *
+ * After each add, the oldest turns are evicted until the window fits, so the
+ * history never starts with an orphaned assistant reply.
  *
- * @param {number} [limit=MEMORY_LIMIT] Max number of messages to keep.
+ * @param {number | import('./memory-window.js').MemoryWindow} [limit=MEMORY_LIMIT]
+ *   Max number of messages to keep, or a full window (message and token limits).
  * @returns {MemoryStore}
  */
 export function createMemory(limit = MEMORY_LIMIT) {
-  if (!Number.isInteger(limit) || limit < 1) {
-    throw new TypeError('Kimten memory limit must be a positive integer.');
-  }
-
-  const history = [];
+  const window = typeof limit === 'object' && limit !== null ? limit : toMessageWindow(limit);
+  let history = [];
 
-  /** @param {MemoryMessage} message */
-  function add(message) {
-    history.push(message);
-    if (history.length > limit) {
-      history.shift();
-    }
+  /** @param {...MemoryMessage} messages */
+  function add(...messages) {
+    // Fit a copy first, so a throwing estimator leaves history untouched.
+    history = fitWindow([...history, ...messages], window);
   }
 
   function list() {
@@ -43,12 +48,195 @@ export function createMemory(limit = MEMORY_LIMIT) {
   }
 
   function clear() {
-    history.length = 0;
+    history = [];
+  }
+
+  function popTurn() {
+    const start = lastTurnStart(history);
+    if (start === -1) {
+      return [];
+    }
+    const removed = history.slice(start);
+    history = history.slice(0, start);
+    return removed;
   }
 
   return {
     add,
     list,
     clear,
+    popTurn,
+  };
+}
+
+function toMessageWindow(limit) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new TypeError('Kimten memory limit must be a positive integer.');
+  }
+  return { maxMessages: limit, maxTokens: undefined, estimator: estimateTokens };
+}
+
+/**
+ * Pluggable, session-aware memory store passed as `Kimten({ memory: store })`.
+ *
+ * Methods may be sync or async; Kimten awaits them. A turn (the user message
+ * and the replies to it) is handed to `add()` in one call, only after a
+ * successful generation.
+ *
+ * @typedef {object} AsyncMemoryStore
+ * @property {(session: string, messages: MemoryMessage[]) => Promise<void> | void} add Append messages, oldest first.
+ * @property {(session: string) => Promise<MemoryMessage[]> | MemoryMessage[]} list Messages of a session, oldest first.
+ * @property {(session?: string) => Promise<void> | void} clear Clear one session, or every session when omitted.
+ * @property {(session: string, limit: number) => Promise<void> | void} [trim] Drop all but the newest `limit` messages.
+ */
+
+/**
+ * Memory of one session, as used by the play loop.
+ *
+ * @typedef {object} SessionMemory
+ * @property {(messages: MemoryMessage[]) => Promise<void> | void} add
+ * @property {() => Promise<MemoryMessage[]> | MemoryMessage[]} list
+ * @property {() => Promise<void> | void} clear
+ * @property {() => Promise<MemoryMessage[]> | MemoryMessage[]} popTurn Remove the newest turn and return its messages.
+ */
+
+/**
+ * @param {unknown} store
+ * @returns {AsyncMemoryStore}
+ */
+function validateMemoryStore(store) {
+  if (typeof store !== 'object' || Array.isArray(store)) {
+    throw new TypeError(
+      'Kimten config "memory" must be a store object like { add, list, clear, trim? } or window options when provided.'
+    );
+  }
+
+  for (const method of ['add', 'list', 'clear']) {
+    if (typeof store[method] !== 'function') {
+      throw new TypeError(`Kimten config "memory" store must implement ${method}().`);
+    }
+  }
+
+  if (store.trim !== undefined && typeof store.trim !== 'function') {
+    throw new TypeError('Kimten config "memory" store trim must be a function when provided.');
+  }
+
+  return store;
+}
+
+/**
+ * Resolved `Kimten({ memory })` setting.
+ *
+ * @typedef {object} MemoryConfig
+ * @property {AsyncMemoryStore | undefined} store Custom store (default: in-process).
+ * @property {import('./memory-window.js').MemoryWindow} window
+ * @property {boolean} includeToolSteps Keep tool calls and tool results of each turn, not just the final reply.
+ */
+
+/**
+ * Accepts a store, options (`{ store?, includeToolSteps?, maxMessages?, maxTokens?, estimator? }`), or nothing.
+ *
+ * @param {unknown} memory
+ * @returns {MemoryConfig}
+ */
+export function validateMemoryConfig(memory) {
+  if (memory === undefined || memory === null) {
+    return { store: undefined, window: validateMemoryWindow({}, MEMORY_LIMIT), includeToolSteps: false };
+  }
+
+  const isOptions =
+    isMemoryWindowOptions(memory) ||
+    (isPlainObject(memory) && MEMORY_OPTION_KEYS.some((key) => key in memory));
+
+  if (isOptions) {
+    const { store = undefined, includeToolSteps = false, ...windowOptions } = memory;
+    for (const key of Object.keys(windowOptions)) {
+      if (!['maxMessages', 'maxTokens', 'estimator'].includes(key)) {
+        throw new TypeError(
+          `Kimten config "memory" does not support "${key}". Allowed keys: store, includeToolSteps, maxMessages, maxTokens, estimator.`
+        );
+      }
+    }
+
+    if (typeof includeToolSteps !== 'boolean') {
+      throw new TypeError('Kimten config "memory.includeToolSteps" must be a boolean when provided.');
+    }
+
+    return {
+      store: store === undefined || store === null ? undefined : validateMemoryStore(store),
+      window: validateMemoryWindow(windowOptions, MEMORY_LIMIT),
+      includeToolSteps,
+    };
+  }
+
+  return { store: validateMemoryStore(memory), window: validateMemoryWindow({}, MEMORY_LIMIT), includeToolSteps: false };
+}
+
+/**
+ * Memory for one session: an in-process window by default, or a view of
+ * `store` bound to `session`.
+ *
+ * The window is enforced for custom stores too: `trim()` (when the store has
+ * it) caps stored messages, and reads keep only the newest turns that fit.
+ *
+ * @param {AsyncMemoryStore | undefined} store
+ * @param {string} session
+ * @param {import('./memory-window.js').MemoryWindow} window
+ * @returns {SessionMemory}
+ */
+export function createSessionMemory(store, session, window) {
+  if (!store) {
+    const memory = createMemory(window);
+    return {
+      add(messages) {
+        memory.add(...messages);
+      },
+      list: memory.list,
+      clear: memory.clear,
+      popTurn: memory.popTurn,
+    };
+  }
+
+  async function listStored() {
+    const messages = await store.list(session);
+    if (!Array.isArray(messages)) {
+      throw new TypeError('Kimten memory store list(session) must return an array of messages.');
+    }
+    return messages;
+  }
+
+  return {
+    async add(messages) {
+      await store.add(session, messages);
+      if (store.trim) {
+        // Never cut into the turn just added: reads trim it as a whole.
+        await store.trim(session, Math.max(window.maxMessages, messages.length));
+      }
+    },
+    async list() {
+      return fitWindow(await listStored(), window);
+    },
+    async clear() {
+      await store.clear(session);
+    },
+    async popTurn() {
+      // Stores only append, so the remaining messages are written back.
+      const messages = await listStored();
+      const start = lastTurnStart(messages);
+      if (start === -1) {
+        return [];
+      }
+      await store.clear(session);
+      try {
+        if (start > 0) {
+          await store.add(session, messages.slice(0, start));
+        }
+      } catch (error) {
+        // Put the whole conversation back rather than leave the session empty.
+        await Promise.resolve(store.add(session, messages)).catch(() => {});
+        throw error;
+      }
+      return messages.slice(start);
+    },
   };
 }
@@ -1,5 +1,6 @@
 import { isPlainObject } from './guards.js';
 import { normalizeAttachmentsOption } from './attachments.js';
+import { validateHooks } from './hooks.js';
 
 const ALLOWED_PLAY_OPTIONS_KEYS = new Set([
   'attachments',
@@ -7,6 +8,12 @@ const ALLOWED_PLAY_OPTIONS_KEYS = new Set([
   'topP',
   'topK',
   'maxOutputTokens',
+  'signal',
+  'timeoutMs',
+  'detailed',
+  'hooks',
+  'maxTokens',
+  'session',
 ]);
 const NUMERIC_PLAY_OPTION_KEYS = ['temperature', 'topP', 'topK'];
 
@@ -34,12 +41,27 @@ function validateNumericPlayOption(value, key, callOptions) {
  * @param {Record<string, unknown> | undefined | null} options
  * @returns {{
  *   attachments: Array<Record<string, unknown>>,
- *   callOptions: Record<string, number>
+ *   callOptions: Record<string, number>,
+ *   signal: AbortSignal | undefined,
+ *   timeoutMs: number | undefined,
+ *   detailed: boolean,
+ *   hooks: import('./hooks.js').KimtenHooks | undefined,
+ *   maxTokens: number | undefined,
+ *   session: string | undefined
  * }}
  */
 export function validatePlayOptions(options) {
   if (options === undefined || options === null) {
-    return { attachments: [], callOptions: {} };
+    return {
+      attachments: [],
+      callOptions: {},
+      signal: undefined,
+      timeoutMs: undefined,
+      detailed: false,
+      hooks: undefined,
+      maxTokens: undefined,
+      session: undefined,
+    };
   }
 
   if (!isPlainObject(options)) {
@@ -49,7 +71,7 @@ export function validatePlayOptions(options) {
   for (const key of Object.keys(options)) {
     if (!ALLOWED_PLAY_OPTIONS_KEYS.has(key)) {
       throw new TypeError(
-        `Kimten play(input, context, options) does not support option "${key}". Allowed options: attachments, temperature, topP, topK, maxOutputTokens.`
+        `Kimten play(input, context, options) does not support option "${key}". Allowed options: ${[...ALLOWED_PLAY_OPTIONS_KEYS].join(', ')}.`
       );
     }
   }
@@ -68,5 +90,40 @@ export function validatePlayOptions(options) {
     callOptions.maxOutputTokens = options.maxOutputTokens;
   }
 
-  return { attachments: normalizeAttachmentsOption(options.attachments), callOptions };
+  if (options.signal !== undefined && !(options.signal instanceof AbortSignal)) {
+    throw new TypeError('Kimten play(input, context, options) option "signal" must be an AbortSignal when provided.');
+  }
+
+  if (
+    options.timeoutMs !== undefined &&
+    (typeof options.timeoutMs !== 'number' || !Number.isFinite(options.timeoutMs) || options.timeoutMs <= 0)
+  ) {
+    throw new TypeError('Kimten play(input, context, options) option "timeoutMs" must be a positive number when provided.');
+  }
+
+  if (options.detailed !== undefined && typeof options.detailed !== 'boolean') {
+    throw new TypeError('Kimten play(input, context, options) option "detailed" must be a boolean when provided.');
+  }
+
+  if (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens < 1)) {
+    throw new TypeError('Kimten play(input, context, options) option "maxTokens" must be an integer >= 1 when provided.');
+  }
+
+  if (options.session !== undefined && (typeof options.session !== 'string' || options.session.trim() === '')) {
+    throw new TypeError('Kimten play(input, context, options) option "session" must be a non-empty string when provided.');
+  }
+
+  return {
+    attachments: normalizeAttachmentsOption(options.attachments),
+    callOptions,
+    signal: options.signal,
+    timeoutMs: options.timeoutMs,
+    detailed: options.detailed === true,
+    hooks:
+      options.hooks === undefined
+        ? undefined
+        : validateHooks(options.hooks, 'Kimten play(input, context, options) option "hooks"'),
+    maxTokens: options.maxTokens,
+    session: options.session,
+  };
 }
@@ -1,6 +1,11 @@
 import { isPlainObject } from './guards.js';
+import { createRedactingReplacer, DEFAULT_REDACT_RULES } from './redact.js';
+import { getBoxShape } from './box.js';
+import { describeJsonSchema, describeZodSchema } from './schema-hint.js';
+import { fitContext, validateContextLimit } from './context.js';
+import { contextFormatLabel, contextRenderer } from './context-format.js';
 
-const CONTEXT_CHAR_LIMIT = 4000;
+const DEFAULT_CONTEXT_LIMIT = validateContextLimit(undefined);
 
 export const TOOL_POLICY_PREFIX =
   'Tool policy: You can use these tools when needed for accurate answers:';
@@ -10,6 +15,10 @@ export const BOX_SCHEMA_HINT_PREFIX =
 export const CONTEXT_BLOCK_PREFIX = 'Context (JSON):';
 export const USER_MESSAGE_BLOCK_PREFIX = 'User message:';
 export const INSTRUCTION_SEPARATOR = '\n\n';
+export const REPAIR_PREFIX = 'Your previous reply was rejected because it does not match the schema:';
+export const SUMMARY_BLOCK_PREFIX = 'Summary of the earlier conversation:';
+export const SUMMARY_INSTRUCTIONS =
+  'You maintain a running summary of a conversation between a user and an assistant. Merge the new turns into the existing summary. Keep the original task, decisions, constraints and open questions; drop chit-chat. Reply with the updated summary only.';
 
 export function buildToolsSystemSuffix(tools) {
   const toolNames = Object.keys(tools);
@@ -24,174 +33,123 @@ export function buildSystemInstructions(personality, tools) {
   return `${personality}${buildToolsSystemSuffix(tools)}`;
 }
 
-export function serializeContext(context) {
+export function buildSummarizedInstructions(instructions, summary) {
+  if (!summary) {
+    return instructions;
+  }
+
+  return `${instructions}${INSTRUCTION_SEPARATOR}${SUMMARY_BLOCK_PREFIX}\n${summary}`;
+}
+
+export function buildSummaryPrompt(previousSummary, messages) {
+  const transcript = messages
+    .map((message) => {
+      const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+      return `${message.role}: ${content}`;
+    })
+    .join('\n');
+
+  return `Existing summary:\n${previousSummary || '(none)'}${INSTRUCTION_SEPARATOR}New turns:\n${transcript}`;
+}
+
+function renderCustomContext(format) {
+  return (value) => {
+    const text = format(value);
+    if (typeof text !== 'string') {
+      throw new TypeError('Kimten config "contextFormat" function must return a string.');
+    }
+    return text;
+  };
+}
+
+/**
+ * Redact and serialize call context in `contextFormat`, fitting it into `contextLimit`.
+ *
+ * @returns {import('./context.js').FittedContext}
+ */
+export function fitSerializedContext(
+  context,
+  redactRules = DEFAULT_REDACT_RULES,
+  contextLimit = DEFAULT_CONTEXT_LIMIT,
+  contextFormat = 'json'
+) {
   if (context === null || context === undefined) {
-    return '';
+    return { text: '', elided: [] };
   }
 
   if (!isPlainObject(context)) {
     throw new TypeError('Kimten play(input, context) expects context to be a plain object when provided.');
   }
 
-  const seen = new WeakSet();
   let redacted;
   try {
-    redacted = JSON.stringify(
-      context,
-      (key, value) => {
-        const lowered = String(key).toLowerCase();
-        if (
-          lowered.includes('password') ||
-          lowered.includes('token') ||
-          lowered.includes('secret') ||
-          lowered.includes('apikey') ||
-          lowered.includes('api_key')
-        ) {
-          return '[REDACTED]';
-        }
-
-        if (typeof value === 'bigint') {
-          return value.toString();
-        }
-
-        if (typeof value === 'object' && value !== null) {
-          if (seen.has(value)) {
-            return '[Circular]';
-          }
-          seen.add(value);
-        }
-
-        return value;
-      },
-      2
-    );
+    redacted = JSON.stringify(context, createRedactingReplacer(redactRules));
   } catch {
-    return '';
+    return { text: '', elided: [] };
   }
 
   if (typeof redacted !== 'string') {
-    return '';
-  }
-
-  if (redacted.length <= CONTEXT_CHAR_LIMIT) {
-    return redacted;
+    return { text: '', elided: [] };
   }
 
-  return `${redacted.slice(0, CONTEXT_CHAR_LIMIT)}\n...(truncated)`;
+  // Every format renders the redacted JSON copy, so redaction, circular
+  // references and BigInt values are handled once for all of them.
+  const render = contextRenderer(contextFormat) ?? renderCustomContext(contextFormat);
+  return fitContext(JSON.parse(redacted), contextLimit, render);
 }
 
-function unwrapZodSchema(schema) {
-  // This uses Zod internals (`_def.typeName`) intentionally as a best-effort
-  // schema describer for prompt hints. It should stay tolerant to unknown nodes.
-  let current = schema;
-  let guard = 0;
-  while (current && guard < 20) {
-    guard += 1;
-    const typeName = current?._def?.typeName;
-    const type = (typeof current?._def?.type === 'string' ? current._def.type : undefined)
-      ?? current?._zod?.def?.type;
-    if (
-      typeName === 'ZodOptional' ||
-      typeName === 'ZodNullable' ||
-      typeName === 'ZodDefault' ||
-      typeName === 'ZodBranded' ||
-      typeName === 'ZodReadonly' ||
-      typeName === 'ZodCatch' ||
-      type === 'optional' ||
-      type === 'nullable' ||
-      type === 'default' ||
-      type === 'readonly' ||
-      type === 'catch'
-    ) {
-      current = current?._def?.innerType ?? current?._zod?.def?.innerType ?? current;
-      continue;
-    }
-    if (typeName === 'ZodEffects') {
-      current = current?._def?.schema ?? current?._zod?.def?.schema ?? current;
-      continue;
-    }
-    if (typeName === 'ZodPipeline' || type === 'pipe') {
-      // Prefer the input side for stable, describable hints across versions.
-      current = current?._def?.in ?? current?._zod?.def?.in ?? current?._def?.out ?? current?._zod?.def?.out ?? current;
-      continue;
-    }
-    if (type === 'transform') {
-      current = current?._def?.schema ?? current?._zod?.def?.schema ?? current;
-      continue;
-    }
-    break;
-  }
-  return current;
+export function serializeContext(
+  context,
+  redactRules = DEFAULT_REDACT_RULES,
+  contextLimit = DEFAULT_CONTEXT_LIMIT,
+  contextFormat = 'json'
+) {
+  return fitSerializedContext(context, redactRules, contextLimit, contextFormat).text;
 }
 
-function describeZodSchema(schema) {
-  const s = unwrapZodSchema(schema);
-  const defV3 = s?._def;
-  const defV4 = s?._zod?.def;
-  const typeName = defV3?.typeName;
-  const type = (typeof defV3?.type === 'string' ? defV3.type : undefined) ?? defV4?.type;
-
-  if (typeName === 'ZodString' || type === 'string') return 'string';
-  if (typeName === 'ZodNumber' || type === 'number') return 'number';
-  if (typeName === 'ZodBoolean' || type === 'boolean') return 'boolean';
-  if (typeName === 'ZodNull' || type === 'null') return 'null';
-  if (typeName === 'ZodAny' || typeName === 'ZodUnknown' || type === 'any' || type === 'unknown') return 'any';
-  if (typeName === 'ZodLiteral' || type === 'literal') {
-    const literalValue = defV3?.value ?? defV4?.value ?? defV4?.values?.[0];
-    return JSON.stringify(literalValue);
+export function buildBoxSchemaHint(box, format = 'compact') {
+  if (!box || format === 'none') {
+    return '';
   }
-  if (typeName === 'ZodEnum' || type === 'enum') {
-    const values = defV3?.values
-      ?? defV4?.values
-      ?? defV4?.options
-      ?? (defV4?.entries ? Object.keys(defV4.entries) : null);
-    if (Array.isArray(values)) {
-      return values.map((v) => JSON.stringify(v)).join(' | ');
+
+  if (typeof format === 'function') {
+    const custom = format(box);
+    if (typeof custom !== 'string') {
+      throw new TypeError('Kimten config "schemaHint" function must return a string.');
     }
-    return 'enum';
+    return custom;
   }
-  if (typeName === 'ZodNativeEnum') return 'enum';
-  if (typeName === 'ZodArray' || type === 'array') {
-    const arrayItem = defV3?.element ?? defV4?.element ?? defV4?.items ?? defV3?.type;
-    return `${describeZodSchema(arrayItem)}[]`;
-  }
-  if (typeName === 'ZodObject' || type === 'object') {
-    const rawShape = defV3?.shape ?? defV4?.shape;
-    const shape = typeof rawShape === 'function' ? rawShape() : rawShape;
-    const keys = Object.keys(shape || {}).sort();
-    const entries = keys.map((key) => `${JSON.stringify(key)}: ${describeZodSchema(shape[key])}`);
-    return `{ ${entries.join(', ')} }`;
-  }
-  if (typeName === 'ZodUnion' || type === 'union') {
-    const options = defV3?.options ?? defV4?.options;
-    if (Array.isArray(options)) {
-      return options.map((option) => describeZodSchema(option)).join(' | ');
-    }
-    return 'unknown';
+
+  // Non-object shapes travel wrapped in an object, e.g. { "elements": [...] }.
+  const { envelope } = getBoxShape(box);
+  const jsonSchema = format === 'jsonschema' ? describeJsonSchema(box, envelope) : undefined;
+  if (jsonSchema) {
+    return `${BOX_SCHEMA_HINT_PREFIX} ${jsonSchema}`;
   }
 
-  return 'unknown';
+  const described = describeZodSchema(box);
+  return `${BOX_SCHEMA_HINT_PREFIX} ${envelope ? `{ ${JSON.stringify(envelope)}: ${described} }` : described}`;
 }
 
-export function buildBoxSchemaHint(box) {
-  if (!box) {
-    return '';
-  }
-
-  return `${BOX_SCHEMA_HINT_PREFIX} ${describeZodSchema(box)}`;
+export function buildRepairPrompt(issues, box, format = 'compact') {
+  const problems = issues.map((issue) => `- ${issue}`).join('\n');
+  const hint = buildBoxSchemaHint(box, format);
+  return `${REPAIR_PREFIX}\n${problems}${hint ? `${INSTRUCTION_SEPARATOR}${hint}` : ''}`;
 }
 
-export function buildContextEnvelope(input, serializedContext) {
+export function buildContextEnvelope(input, serializedContext, contextFormat = 'json') {
   if (!serializedContext) {
     return input;
   }
 
-  return `${CONTEXT_BLOCK_PREFIX}\n${serializedContext}${INSTRUCTION_SEPARATOR}${USER_MESSAGE_BLOCK_PREFIX}\n${input}`;
+  const label = contextFormatLabel(contextFormat);
+  const prefix = label ? `Context (${label}):` : 'Context:';
+  return `${prefix}\n${serializedContext}${INSTRUCTION_SEPARATOR}${USER_MESSAGE_BLOCK_PREFIX}\n${input}`;
 }
 
-export function buildEffectiveInput(input, serializedContext, box) {
-  const baseInput = buildContextEnvelope(input, serializedContext);
-  const boxSchemaHint = buildBoxSchemaHint(box);
+export function buildEffectiveInput(input, serializedContext, box, schemaHint = 'compact', contextFormat = 'json') {
+  const baseInput = buildContextEnvelope(input, serializedContext, contextFormat);
+  const boxSchemaHint = buildBoxSchemaHint(box, schemaHint);
 
   if (!boxSchemaHint) {
     return baseInput;
@@ -0,0 +1,331 @@
+import { isPlainObject } from './guards.js';
+
+export const REDACTED = '[REDACTED]';
+
+/** Key words that mark a key as sensitive wherever they appear (`passwordHash`, `x-session-cookie`). */
+const SENSITIVE_WORDS = [
+  'password',
+  'passwd',
+  'passphrase',
+  'secret',
+  'credential',
+  'credentials',
+  'authorization',
+  'cookie',
+  'ssn',
+  'cvv',
+  'cvc',
+  'apikey',
+  'privatekey',
+];
+/** Key words that are sensitive wherever they appear, unless the key counts them (`refreshTokenEncrypted`, but not `tokenCount`). */
+const SENSITIVE_COUNTED_WORDS = ['token', 'jwt', 'pin'];
+/** Word pairs, likewise (`x-api-key`, `private_key_pem`, but not `apiKeyLimit`). */
+const SENSITIVE_PAIRS = ['api key', 'private key', 'access key', 'signing key', 'encryption key'];
+/** Words that make a key a counter or setting rather than a secret. */
+const COUNTER_WORDS = ['count', 'counts', 'limit', 'limits', 'usage', 'used', 'max', 'min', 'total', 'length', 'size'];
+
+/**
+ * Built-in value detectors; matches are replaced inside the string.
+ *
+ * @type {Record<string, RegExp>}
+ */
+export const VALUE_DETECTORS = {
+  jwt: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g,
+  bearer: /\b(?:Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi,
+  cloudKeys:
+    /\b(?:(?:AKIA|ASIA)[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abpors]-[A-Za-z0-9-]{10,}|[rs]k_(?:live|test)_[A-Za-z0-9]{16,})\b|\bsk-[A-Za-z0-9_-]{16,}/g,
+  cards: /\b\d(?:[ -]?\d){12,18}\b/g,
+};
+const DETECTOR_NAMES = Object.keys(VALUE_DETECTORS);
+
+/**
+ * The `redact` config.
+ *
+ * @typedef {object} RedactConfig
+ * @property {boolean} [defaults] Keep the built-in sensitive key list (default: `true`).
+ * @property {Array<string | RegExp>} [keys] Extra sensitive keys; strings match case- and separator-insensitively.
+ * @property {boolean | Array<'jwt' | 'bearer' | 'cloudKeys' | 'cards' | RegExp>} [values]
+ *   Value detectors (default: all built-ins; `false` turns them off).
+ * @property {Array<string | RegExp>} [allow] Keys (or dotted paths) never redacted.
+ * @property {RedactHook} [redactor] Custom hook, applied last.
+ */
+
+/**
+ * Normalized redaction rules (what `validateRedactConfig` returns).
+ *
+ * @typedef {object} RedactRules
+ * @property {boolean} defaults Apply the built-in sensitive key list.
+ * @property {Array<string | RegExp>} keys Extra sensitive keys.
+ * @property {Array<{ name: string, pattern: RegExp }>} detectors Value patterns to mask.
+ * @property {Array<string | RegExp>} allow Keys or dotted paths never redacted.
+ * @property {RedactHook | undefined} redactor Custom hook, applied last.
+ */
+
+/**
+ * Custom redaction hook. Receives each property (after the built-in rules)
+ * and returns the value to keep; `undefined` drops the property.
+ *
+ * @callback RedactHook
+ * @param {string} key
+ * @param {unknown} value
+ * @param {string[]} path Keys from the root down to this property.
+ * @returns {unknown}
+ */
+
+/** @type {RedactRules} */
+export const DEFAULT_REDACT_RULES = {
+  defaults: true,
+  keys: [],
+  detectors: DETECTOR_NAMES.map((name) => ({ name, pattern: VALUE_DETECTORS[name] })),
+  allow: [],
+  redactor: undefined,
+};
+
+/** @type {RedactRules} */
+const NO_REDACT_RULES = { defaults: false, keys: [], detectors: [], allow: [], redactor: undefined };
+
+function isKeyPattern(entry) {
+  return (typeof entry === 'string' && entry.trim() !== '') || entry instanceof RegExp;
+}
+
+function validateKeyPatterns(list, label) {
+  if (list === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(list) || !list.every(isKeyPattern)) {
+    throw new TypeError(`Kimten config "${label}" must be an array of non-empty strings or RegExps.`);
+  }
+
+  return [...list];
+}
+
+function validateDetectors(values) {
+  if (values === undefined || values === true) {
+    return DEFAULT_REDACT_RULES.detectors;
+  }
+
+  if (values === false) {
+    return [];
+  }
+
+  if (!Array.isArray(values)) {
+    throw new TypeError('Kimten config "redact.values" must be a boolean or an array when provided.');
+  }
+
+  return values.map((entry) => {
+    if (entry instanceof RegExp) {
+      // Matches are replaced everywhere in the string, so the pattern needs the global flag.
+      const flags = entry.flags.includes('g') ? entry.flags : `${entry.flags}g`;
+      return { name: String(entry), pattern: new RegExp(entry.source, flags) };
+    }
+    if (!DETECTOR_NAMES.includes(entry)) {
+      throw new TypeError(
+        `Kimten config "redact.values" entries must be RegExps or one of: ${DETECTOR_NAMES.join(', ')}.`
+      );
+    }
+    return { name: entry, pattern: VALUE_DETECTORS[entry] };
+  });
+}
+
+/**
+ * @param {unknown} redact
+ * @returns {RedactRules}
+ */
+export function validateRedactConfig(redact) {
+  if (redact === undefined || redact === null || redact === true) {
+    return DEFAULT_REDACT_RULES;
+  }
+
+  if (redact === false) {
+    return NO_REDACT_RULES;
+  }
+
+  if (!isPlainObject(redact)) {
+    throw new TypeError('Kimten config "redact" must be a boolean or a plain object when provided.');
+  }
+
+  for (const key of Object.keys(redact)) {
+    if (!['defaults', 'keys', 'values', 'allow', 'redactor'].includes(key)) {
+      throw new TypeError(
+        `Kimten config "redact" does not support "${key}". Allowed keys: defaults, keys, values, allow, redactor.`
+      );
+    }
+  }
+
+  const { defaults = true, redactor = undefined } = redact;
+  if (typeof defaults !== 'boolean') {
+    throw new TypeError('Kimten config "redact.defaults" must be a boolean when provided.');
+  }
+
+  if (redactor !== undefined && typeof redactor !== 'function') {
+    throw new TypeError('Kimten config "redact.redactor" must be a function when provided.');
+  }
+
+  return {
+    defaults,
+    keys: validateKeyPatterns(redact.keys, 'redact.keys'),
+    detectors: validateDetectors(redact.values),
+    allow: validateKeyPatterns(redact.allow, 'redact.allow'),
+    redactor,
+  };
+}
+
+/**
+ * Split a key into lower-case words: `xApiKey`, `x-api-key` and `X_API_KEY` all give `x api key`.
+ *
+ * @param {string} key
+ * @returns {string[]}
+ */
+function wordsOf(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function normalizeKey(key) {
+  return wordsOf(key).join('');
+}
+
+function isDefaultSensitiveKey(key) {
+  const words = wordsOf(key);
+  if (words.some((word) => SENSITIVE_WORDS.includes(word))) {
+    return true;
+  }
+  if (words.some((word) => COUNTER_WORDS.includes(word))) {
+    return false;
+  }
+  return (
+    words.some((word) => SENSITIVE_COUNTED_WORDS.includes(word)) ||
+    words.slice(1).some((word, index) => SENSITIVE_PAIRS.includes(`${words[index]} ${word}`))
+  );
+}
+
+/**
+ * Strings match a key case- and separator-insensitively (`sessionId` matches
+ * `session_id`), or a whole dotted path when they contain a dot.
+ */
+function matchesKey(patterns, key, path) {
+  return patterns.some((pattern) => {
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0;
+      return pattern.test(key);
+    }
+    return pattern.includes('.') ? pattern === path.join('.') : normalizeKey(pattern) === normalizeKey(key);
+  });
+}
+
+function isSensitiveKey(rules, key, path) {
+  return (rules.defaults && isDefaultSensitiveKey(key)) || matchesKey(rules.keys, key, path);
+}
+
+function isCardNumber(text) {
+  // Luhn checksum, so order ids and phone numbers are left alone.
+  const digits = text.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function maskValue(rules, value) {
+  let masked = value;
+  for (const { name, pattern } of rules.detectors) {
+    pattern.lastIndex = 0;
+    masked = masked.replace(pattern, (match) => (name !== 'cards' || isCardNumber(match) ? REDACTED : match));
+  }
+  return masked;
+}
+
+/**
+ * Build a `JSON.stringify` replacer that redacts sensitive keys and values and
+ * keeps circular references and BigInt values serializable.
+ *
+ * A fresh replacer must be created per serialization (it tracks seen objects).
+ *
+ * @param {RedactRules} [rules]
+ * @returns {(this: any, key: string, value: unknown) => unknown}
+ */
+export function createRedactingReplacer(rules = DEFAULT_REDACT_RULES) {
+  const seen = new WeakSet();
+  /** @type {WeakMap<object, string[]>} */
+  const paths = new WeakMap();
+
+  return function replacer(key, value) {
+    const isRoot = key === '' && !paths.has(this);
+    const path = isRoot ? [] : [...(paths.get(this) ?? []), key];
+    let next = value;
+
+    if (!isRoot && !matchesKey(rules.allow, key, path)) {
+      if (isSensitiveKey(rules, key, path)) {
+        next = REDACTED;
+      } else if (typeof next === 'string') {
+        next = maskValue(rules, next);
+      }
+    } else if (isRoot && typeof next === 'string') {
+      next = maskValue(rules, next);
+    }
+
+    if (rules.redactor && !isRoot) {
+      next = rules.redactor(key, next, path);
+    }
+
+    if (typeof next === 'bigint') {
+      return next.toString();
+    }
+
+    if (typeof next === 'object' && next !== null) {
+      if (seen.has(next)) {
+        return '[Circular]';
+      }
+      seen.add(next);
+      paths.set(next, path);
+    }
+
+    return next;
+  };
+}
+
+/**
+ * Return a JSON-safe, redacted deep copy of `value` (for hooks and logs).
+ *
+ * @param {unknown} value
+ * @param {RedactRules} [rules]
+ * @returns {unknown}
+ */
+export function redactValue(value, rules = DEFAULT_REDACT_RULES) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  try {
+    const json = JSON.stringify(value, createRedactingReplacer(rules));
+    return json === undefined ? undefined : JSON.parse(json);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Standalone redactor with the same rules as the `redact` config, for your own
+ * logs (toy args and results, requests, ...).
+ *
+ * @param {unknown} [redact] Same shape as the `redact` config.
+ * @returns {(value: unknown) => unknown} Returns a JSON-safe, redacted deep copy.
+ */
+export function createRedactor(redact = undefined) {
+  const rules = validateRedactConfig(redact);
+  return (value) => redactValue(value, rules);
+}
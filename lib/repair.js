@@ -0,0 +1,88 @@
+import { NoObjectGeneratedError } from 'ai';
+import { isPlainObject } from './guards.js';
+
+/**
+ * Self-repair policy for `box` output that fails validation.
+ *
+ * @typedef {object} RepairConfig
+ * @property {number} attempts Corrective follow-ups sent after the first invalid reply.
+ */
+
+/**
+ * One structured-output attempt, as reported by `detailed: true`.
+ *
+ * @typedef {object} BoxAttempt
+ * @property {string} text Raw model reply.
+ * @property {string[]} issues Why the reply was rejected (empty for the accepted one).
+ */
+
+/**
+ * @param {unknown} repair
+ * @returns {RepairConfig | undefined}
+ */
+export function validateRepairConfig(repair) {
+  if (repair === undefined || repair === null) {
+    return undefined;
+  }
+
+  if (!isPlainObject(repair)) {
+    throw new TypeError('Kimten config "repair" must be a plain object when provided.');
+  }
+
+  for (const key of Object.keys(repair)) {
+    if (key !== 'attempts') {
+      throw new TypeError(`Kimten config "repair" does not support "${key}". Allowed keys: attempts.`);
+    }
+  }
+
+  const { attempts = 1 } = repair;
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new TypeError('Kimten config "repair.attempts" must be a positive integer.');
+  }
+
+  return { attempts };
+}
+
+function formatPath(path) {
+  if (!Array.isArray(path) || path.length === 0) {
+    return '(root)';
+  }
+
+  return path
+    .map((key, index) => {
+      const segment = typeof key === 'object' && key !== null ? key.key : key;
+      if (typeof segment === 'number') {
+        return `[${segment}]`;
+      }
+      return index === 0 ? String(segment) : `.${String(segment)}`;
+    })
+    .join('');
+}
+
+function describeIssues(cause) {
+  // Zod errors carry `issues`; Standard Schema validators pass the issues array itself.
+  const issues = Array.isArray(cause?.cause) ? cause.cause : cause?.cause?.issues;
+  if (Array.isArray(issues) && issues.length > 0) {
+    return issues.map((issue) => `${formatPath(issue.path)}: ${issue.message}`);
+  }
+
+  return [cause?.name === 'AI_JSONParseError' ? 'The reply is not valid JSON.' : 'The reply does not match the schema.'];
+}
+
+/**
+ * Find the structured-output failure behind `error`, looking through
+ * Kimten retry/fallback wrappers.
+ *
+ * @param {unknown} error
+ * @returns {BoxAttempt | undefined} `undefined` when the failure is something else.
+ */
+export function findBoxFailure(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth += 1) {
+    if (NoObjectGeneratedError.isInstance(current)) {
+      return { text: typeof current.text === 'string' ? current.text : '', issues: describeIssues(current.cause) };
+    }
+    current = current.cause;
+  }
+  return undefined;
+}
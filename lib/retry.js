@@ -0,0 +1,160 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { isPlainObject } from './guards.js';
+import { KimtenRetryError } from './errors.js';
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+]);
+
+/**
+ * Retry policy for transient model failures.
+ *
+ * @typedef {object} RetryConfig
+ * @property {number} attempts Total attempts, including the first one.
+ * @property {number} baseDelayMs Delay before the first retry (doubles each retry).
+ * @property {number} maxDelayMs Upper bound for a single delay.
+ * @property {(error: unknown) => boolean} retryOn Decides whether an error is worth retrying.
+ * @property {boolean} replayToys Retry even when toys already ran in a finished step.
+ */
+
+/**
+ * Default `retryOn`: rate limits (429), server errors (5xx) and network failures.
+ *
+ * Understands AI SDK `APICallError`/`RetryError` shapes as well as plain errors
+ * carrying `statusCode`/`status` or a Node network `code`.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (error === null || typeof error !== 'object') {
+    return false;
+  }
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return false;
+  }
+
+  // AI SDK RetryError: judge by the last underlying failure.
+  if (error.name === 'AI_RetryError' && error.lastError) {
+    return isTransientError(error.lastError);
+  }
+
+  const status = error.statusCode ?? error.status;
+  if (typeof status === 'number') {
+    return status === 429 || status >= 500;
+  }
+
+  if (typeof error.code === 'string' && RETRYABLE_NETWORK_CODES.has(error.code)) {
+    return true;
+  }
+
+  if (error.cause && error.cause !== error) {
+    return isTransientError(error.cause);
+  }
+
+  return error instanceof TypeError && /fetch failed|network/i.test(error.message);
+}
+
+function validateNonNegativeInteger(value, key) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError(`Kimten config "retry.${key}" must be a non-negative integer.`);
+  }
+}
+
+/**
+ * @param {unknown} retry
+ * @returns {RetryConfig | undefined}
+ */
+export function validateRetryConfig(retry) {
+  if (retry === undefined || retry === null) {
+    return undefined;
+  }
+
+  if (!isPlainObject(retry)) {
+    throw new TypeError('Kimten config "retry" must be a plain object when provided.');
+  }
+
+  const {
+    attempts = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    retryOn = isTransientError,
+    replayToys = false,
+  } = retry;
+
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new TypeError('Kimten config "retry.attempts" must be a positive integer.');
+  }
+  validateNonNegativeInteger(baseDelayMs, 'baseDelayMs');
+  validateNonNegativeInteger(maxDelayMs, 'maxDelayMs');
+
+  if (typeof retryOn !== 'function') {
+    throw new TypeError('Kimten config "retry.retryOn" must be a function when provided.');
+  }
+
+  if (typeof replayToys !== 'boolean') {
+    throw new TypeError('Kimten config "retry.replayToys" must be a boolean when provided.');
+  }
+
+  return { attempts, baseDelayMs, maxDelayMs, retryOn, replayToys };
+}
+
+/**
+ * Exponential backoff with "equal jitter": half fixed, half random.
+ *
+ * @param {RetryConfig} retry
+ * @param {number} attempt Number of the attempt that just failed (1-based).
+ * @returns {number}
+ */
+export function computeRetryDelay(retry, attempt) {
+  const ceiling = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Run `attempt` until it succeeds, the policy gives up, or `signal` aborts.
+ *
+ * `canRetry(error)` lets the caller veto a retry (e.g. because toys already
+ * ran). When more than one attempt was made, the final error is wrapped in a
+ * {@link KimtenRetryError} reporting the attempt count.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} attempt
+ * @param {{ retry: RetryConfig | undefined, signal?: AbortSignal, canRetry?: (error: unknown) => boolean }} options
+ * @returns {Promise<T>}
+ */
+export async function runWithRetry(attempt, { retry, signal, canRetry = () => true }) {
+  let attempts = 0;
+
+  for (;;) {
+    attempts += 1;
+    try {
+      return await attempt(attempts);
+    } catch (error) {
+      const giveUp =
+        !retry ||
+        attempts >= retry.attempts ||
+        signal?.aborted ||
+        !canRetry(error) ||
+        !retry.retryOn(error);
+
+      if (giveUp) {
+        throw attempts > 1 ? new KimtenRetryError(error, attempts) : error;
+      }
+
+      await sleep(computeRetryDelay(retry, attempts), undefined, signal ? { signal } : undefined);
+    }
+  }
+}
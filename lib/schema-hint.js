@@ -0,0 +1,429 @@
+import { isPlainObject } from './guards.js';
+import { peelZodSchema, zodTypeOf } from './box.js';
+
+/** Longest hint sent to the model; detail and then depth are dropped to fit. */
+const SCHEMA_HINT_CHAR_LIMIT = 2000;
+/** Nested objects described before the rest is elided. */
+const SCHEMA_HINT_MAX_DEPTH = 6;
+const DEFAULT_NOTE_CHAR_LIMIT = 40;
+const ELIDED = '{ ... }';
+
+export const SCHEMA_HINT_FORMATS = ['compact', 'jsonschema', 'none'];
+
+/**
+ * How the `box` schema is described in call prompts: a built-in format or a
+ * function returning the whole hint text.
+ *
+ * @typedef {'compact' | 'jsonschema' | 'none' | ((schema: any) => string)} SchemaHintFormat
+ */
+
+/**
+ * @param {unknown} schemaHint
+ * @returns {SchemaHintFormat}
+ */
+export function validateSchemaHint(schemaHint) {
+  if (schemaHint === undefined || schemaHint === null) {
+    return 'compact';
+  }
+
+  if (typeof schemaHint !== 'function' && !SCHEMA_HINT_FORMATS.includes(schemaHint)) {
+    throw new TypeError(
+      `Kimten config "schemaHint" must be one of: ${SCHEMA_HINT_FORMATS.join(', ')}, or a function (schema) => string.`
+    );
+  }
+
+  return schemaHint;
+}
+
+/**
+ * Described schema node.
+ *
+ * @typedef {object} HintPart
+ * @property {string} text
+ * @property {boolean} compound Needs parentheses when used as an array element.
+ * @property {string[]} [notes] Notes that belong to the type itself (kept in compact mode).
+ */
+
+/**
+ * @typedef {object} HintState
+ * @property {boolean} details Include constraints, defaults and descriptions.
+ * @property {number} maxDepth
+ * @property {number} depth Objects entered so far.
+ * @property {Set<unknown>} stack Objects being described, to cut recursive schemas.
+ */
+
+function atom(text) {
+  return { text, compound: false };
+}
+
+function group(part) {
+  return part.compound ? `(${part.text})` : part.text;
+}
+
+function defOf(schema) {
+  return { defV3: schema?._def, defV4: schema?._zod?.def };
+}
+
+function enumValuesOf(entries) {
+  // Numeric TypeScript enums carry reverse mappings ({ 0: 'Red', Red: 0 }); skip those.
+  return Object.keys(entries)
+    .filter((key) => typeof entries[entries[key]] !== 'number')
+    .map((key) => entries[key]);
+}
+
+function shapeOf(schema) {
+  const { defV3, defV4 } = defOf(schema);
+  const rawShape = defV3?.shape ?? defV4?.shape;
+  return (typeof rawShape === 'function' ? rawShape() : rawShape) || {};
+}
+
+function isZodObject(schema) {
+  const { typeName, type } = zodTypeOf(schema);
+  return typeName === 'ZodObject' || type === 'object';
+}
+
+function describeCheck(check, unit) {
+  const bound = (label, value) => {
+    if (unit === 'items') {
+      return `${label} ${value} items`;
+    }
+    return `${label === 'exactly' ? 'length' : `${label} length`} ${value}`;
+  };
+
+  // Zod v3 checks: { kind, value, inclusive, regex }.
+  switch (check.kind) {
+    case 'min':
+      return unit ? bound('min', check.value) : `${check.inclusive === false ? '>' : '>='} ${check.value}`;
+    case 'max':
+      return unit ? bound('max', check.value) : `${check.inclusive === false ? '<' : '<='} ${check.value}`;
+    case 'length':
+      return bound('exactly', check.value);
+    case 'int':
+      return 'integer';
+    case 'multipleOf':
+      return `multiple of ${check.value}`;
+    case 'regex':
+      return `pattern ${check.regex}`;
+    case 'startsWith':
+      return `starts with ${JSON.stringify(check.value)}`;
+    case 'endsWith':
+      return `ends with ${JSON.stringify(check.value)}`;
+    case 'includes':
+      return `contains ${JSON.stringify(check.value)}`;
+    case 'finite':
+    case 'trim':
+    case 'toLowerCase':
+    case 'toUpperCase':
+      return undefined;
+    case undefined:
+      break;
+    default:
+      return check.kind;
+  }
+
+  // Zod v4 check defs: { check, minimum, maximum, value, inclusive, format, ... }.
+  switch (check.check) {
+    case 'min_length':
+    case 'min_size':
+      return bound('min', check.minimum);
+    case 'max_length':
+    case 'max_size':
+      return bound('max', check.maximum);
+    case 'length_equals':
+    case 'size_equals':
+      return bound('exactly', check.length ?? check.size);
+    case 'greater_than':
+      return `${check.inclusive ? '>=' : '>'} ${check.value}`;
+    case 'less_than':
+      return `${check.inclusive ? '<=' : '<'} ${check.value}`;
+    case 'multiple_of':
+      return `multiple of ${check.value}`;
+    case 'number_format':
+      return String(check.format).includes('int') ? 'integer' : undefined;
+    case 'string_format':
+      if (check.format === 'regex') return `pattern ${check.pattern}`;
+      if (check.format === 'starts_with') return `starts with ${JSON.stringify(check.prefix)}`;
+      if (check.format === 'ends_with') return `ends with ${JSON.stringify(check.suffix)}`;
+      if (check.format === 'includes') return `contains ${JSON.stringify(check.includes)}`;
+      return check.format;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Length, size, range and format constraints of a string, number, array or set node.
+ *
+ * @param {any} schema
+ * @returns {string[]}
+ */
+function constraintsOf(schema) {
+  const { typeName, type } = zodTypeOf(schema);
+  const { defV3, defV4 } = defOf(schema);
+  let unit;
+  if (typeName === 'ZodString' || type === 'string') {
+    unit = 'chars';
+  } else if (typeName === 'ZodArray' || typeName === 'ZodSet' || type === 'array' || type === 'set') {
+    unit = 'items';
+  } else if (typeName !== 'ZodNumber' && type !== 'number') {
+    return [];
+  }
+
+  const checks = [];
+  // Zod v4 format types (z.email(), z.int(), ...) are checks themselves.
+  if (typeof defV4?.check === 'string') {
+    checks.push(defV4);
+  }
+  for (const check of defV3?.checks ?? defV4?.checks ?? []) {
+    checks.push(check?._zod?.def ?? check);
+  }
+  // Zod v3 keeps array and set bounds on the def instead.
+  for (const [key, kind] of [
+    ['minLength', 'min'],
+    ['minSize', 'min'],
+    ['maxLength', 'max'],
+    ['maxSize', 'max'],
+    ['exactLength', 'length'],
+  ]) {
+    if (typeof defV3?.[key]?.value === 'number') {
+      checks.push({ kind, value: defV3[key].value });
+    }
+  }
+
+  const notes = checks.filter(isPlainObject).map((check) => describeCheck(check, unit));
+  return [...new Set(notes.filter((note) => typeof note === 'string' && note !== ''))];
+}
+
+function describeObject(shape, state, leadKey) {
+  if (state.depth >= state.maxDepth) {
+    return atom(ELIDED);
+  }
+
+  const keys = Object.keys(shape).sort((a, b) => Number(b === leadKey) - Number(a === leadKey) || (a < b ? -1 : 1));
+  if (keys.length === 0) {
+    return atom('{}');
+  }
+
+  const inner = { ...state, depth: state.depth + 1 };
+  const entries = keys.map((key) => {
+    const part = describeNode(shape[key], inner);
+    return `${JSON.stringify(key)}${part.optional ? '?' : ''}: ${part.text}`;
+  });
+  return atom(`{ ${entries.join(', ')} }`);
+}
+
+function describeUnion(options, state, leadKey) {
+  const parts = options.map((option) => describeNode(option, state, leadKey).text);
+  return { text: parts.join(' | '), compound: parts.length > 1 };
+}
+
+/**
+ * @param {any} schema Unwrapped schema node.
+ * @param {HintState} state
+ * @param {string} [leadKey] Key listed first in objects (discriminated unions).
+ * @returns {HintPart}
+ */
+function describeCore(schema, state, leadKey) {
+  const { defV3, defV4 } = defOf(schema);
+  const { typeName, type } = zodTypeOf(schema);
+
+  if (typeName === 'ZodString' || type === 'string') return atom('string');
+  if (typeName === 'ZodNumber' || type === 'number') return atom('number');
+  if (typeName === 'ZodBigInt' || type === 'bigint') return atom('integer');
+  if (typeName === 'ZodBoolean' || type === 'boolean') return atom('boolean');
+  if (typeName === 'ZodNull' || type === 'null') return atom('null');
+  if (typeName === 'ZodDate' || type === 'date') return { text: 'string', compound: false, notes: ['ISO 8601 date'] };
+  if (typeName === 'ZodAny' || typeName === 'ZodUnknown' || type === 'any' || type === 'unknown') return atom('any');
+  if (typeName === 'ZodLiteral' || type === 'literal') {
+    const values = defV4?.values ?? [defV3?.value ?? defV4?.value];
+    return { text: values.map((value) => JSON.stringify(value)).join(' | '), compound: values.length > 1 };
+  }
+  if (typeName === 'ZodEnum' || typeName === 'ZodNativeEnum' || type === 'enum') {
+    const entries = defV4?.entries;
+    let values = defV3?.values ?? defV4?.values ?? defV4?.options ?? (isPlainObject(entries) ? enumValuesOf(entries) : null);
+    if (typeName === 'ZodNativeEnum' && isPlainObject(values)) {
+      values = enumValuesOf(values);
+    }
+    if (Array.isArray(values)) {
+      return { text: values.map((v) => JSON.stringify(v)).join(' | '), compound: values.length > 1 };
+    }
+    return atom('enum');
+  }
+  if (typeName === 'ZodArray' || type === 'array') {
+    const arrayItem = defV3?.element ?? defV4?.element ?? defV4?.items ?? defV3?.type;
+    return atom(`${group(describeNode(arrayItem, state))}[]`);
+  }
+  if (typeName === 'ZodSet' || type === 'set') {
+    const valueType = defV3?.valueType ?? defV4?.valueType;
+    return { text: `${group(describeNode(valueType, state))}[]`, compound: false, notes: ['unique items'] };
+  }
+  if (typeName === 'ZodTuple' || type === 'tuple') {
+    const items = defV3?.items ?? defV4?.items;
+    if (!Array.isArray(items)) {
+      return atom('unknown');
+    }
+    const rest = defV3?.rest ?? defV4?.rest;
+    const parts = items.map((item) => describeNode(item, state).text);
+    if (rest) {
+      parts.push(`...${group(describeNode(rest, state))}[]`);
+    }
+    return atom(`[${parts.join(', ')}]`);
+  }
+  if (typeName === 'ZodRecord' || type === 'record') {
+    if (state.depth >= state.maxDepth) {
+      return atom(ELIDED);
+    }
+    const keyType = defV3?.keyType ?? defV4?.keyType;
+    const valueType = defV3?.valueType ?? defV4?.valueType;
+    const inner = { ...state, depth: state.depth + 1 };
+    const key = keyType ? describeNode(keyType, inner).text : 'string';
+    return atom(`Record<${key}, ${describeNode(valueType, inner).text}>`);
+  }
+  if (typeName === 'ZodObject' || type === 'object') {
+    if (state.stack.has(schema)) {
+      return atom(ELIDED);
+    }
+    state.stack.add(schema);
+    try {
+      return describeObject(shapeOf(schema), state, leadKey);
+    } finally {
+      state.stack.delete(schema);
+    }
+  }
+  if (typeName === 'ZodUnion' || typeName === 'ZodDiscriminatedUnion' || type === 'union') {
+    // Older Zod v3 discriminated unions only expose `optionsMap`.
+    const options = defV3?.options ?? defV4?.options ?? (defV3?.optionsMap instanceof Map ? [...new Set(defV3.optionsMap.values())] : null);
+    if (Array.isArray(options)) {
+      return describeUnion(options, state, defV3?.discriminator ?? defV4?.discriminator);
+    }
+    return atom('unknown');
+  }
+  if (typeName === 'ZodIntersection' || type === 'intersection') {
+    const left = peelZodSchema(defV3?.left ?? defV4?.left).schema;
+    const right = peelZodSchema(defV3?.right ?? defV4?.right).schema;
+    if (isZodObject(left) && isZodObject(right)) {
+      return describeObject({ ...shapeOf(left), ...shapeOf(right) }, state, leadKey);
+    }
+    return { text: `${group(describeNode(left, state))} & ${group(describeNode(right, state))}`, compound: true };
+  }
+  if (typeName === 'ZodLazy' || type === 'lazy') {
+    const getter = defV3?.getter ?? defV4?.getter;
+    // A getter may build a fresh non-object schema on every call, so the lazy
+    // node itself marks the recursion.
+    if (typeof getter !== 'function' || state.stack.has(schema)) {
+      return atom('unknown');
+    }
+    state.stack.add(schema);
+    try {
+      return describeNode(getter(), state, leadKey);
+    } finally {
+      state.stack.delete(schema);
+    }
+  }
+
+  return atom('unknown');
+}
+
+function formatDefault(value) {
+  let text;
+  try {
+    text = JSON.stringify(value);
+  } catch {
+    return undefined;
+  }
+  return typeof text === 'string' && text.length <= DEFAULT_NOTE_CHAR_LIMIT ? `default ${text}` : undefined;
+}
+
+/**
+ * @param {any} schema
+ * @param {HintState} state
+ * @param {string} [leadKey]
+ * @returns {HintPart & { optional: boolean }}
+ */
+function describeNode(schema, state, leadKey = undefined) {
+  const peeled = peelZodSchema(schema);
+  const core = describeCore(peeled.schema, state, leadKey);
+  let { text, compound } = core;
+
+  if (peeled.nullable && text !== 'null') {
+    text = `${text} | null`;
+    compound = true;
+  }
+
+  const notes = [...(core.notes ?? [])];
+  if (state.details) {
+    notes.push(...constraintsOf(peeled.schema));
+    if (peeled.defaultValue !== undefined) {
+      notes.push(formatDefault(peeled.defaultValue));
+    }
+    if (peeled.description) {
+      notes.push(JSON.stringify(peeled.description));
+    }
+  }
+
+  const kept = notes.filter(Boolean);
+  if (kept.length > 0) {
+    text = `${text} (${kept.join(', ')})`;
+    compound = true;
+  }
+
+  return { text, compound, optional: peeled.optional };
+}
+
+function render(schema, details, maxDepth) {
+  return describeNode(schema, { details, maxDepth, depth: 0, stack: new Set() }).text;
+}
+
+/**
+ * TypeScript-like one-line description of a Zod (v3 or v4) schema, for prompt hints.
+ *
+ * Optional keys are marked with `?`; constraints, defaults and `.describe()`
+ * texts follow the type in parentheses. Hints longer than the limit drop those
+ * notes first, then nested objects (as `{ ... }`), then get truncated.
+ *
+ * @param {any} schema
+ * @returns {string}
+ */
+export function describeZodSchema(schema) {
+  let described = render(schema, true, SCHEMA_HINT_MAX_DEPTH);
+  for (let maxDepth = SCHEMA_HINT_MAX_DEPTH; described.length > SCHEMA_HINT_CHAR_LIMIT && maxDepth > 0; maxDepth -= 1) {
+    described = render(schema, false, maxDepth);
+  }
+
+  if (described.length <= SCHEMA_HINT_CHAR_LIMIT) {
+    return described;
+  }
+
+  return `${described.slice(0, SCHEMA_HINT_CHAR_LIMIT)} ...(truncated)`;
+}
+
+/**
+ * Compact JSON Schema text of a schema, wrapped in `envelope` when given.
+ *
+ * Uses the schema's own converter (Zod v4 `toJSONSchema()`, input side).
+ *
+ * @param {any} schema
+ * @param {string} [envelope] Wrapper key for non-object shapes.
+ * @returns {string | undefined} `undefined` when there is no converter, the
+ *   schema cannot be represented, or the result is over the hint size limit.
+ */
+export function describeJsonSchema(schema, envelope = undefined) {
+  if (typeof schema?.toJSONSchema !== 'function') {
+    return undefined;
+  }
+
+  let converted;
+  try {
+    const { $schema, ...rest } = schema.toJSONSchema({ io: 'input' });
+    converted = rest;
+  } catch {
+    // Dates, transforms and other nodes without a JSON Schema form.
+    return undefined;
+  }
+
+  const wrapped = envelope
+    ? { type: 'object', properties: { [envelope]: converted }, required: [envelope], additionalProperties: false }
+    : converted;
+  const described = JSON.stringify(wrapped);
+  return described.length <= SCHEMA_HINT_CHAR_LIMIT ? described : undefined;
+}
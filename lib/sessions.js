@@ -0,0 +1,191 @@
+import { isPlainObject } from './guards.js';
+
+/** Session id used when `play()` is called without a `session` option. */
+export const DEFAULT_SESSION = 'default';
+export const DEFAULT_MAX_SESSIONS = 1000;
+
+/**
+ * @param {unknown} session
+ * @param {string} label Error message prefix, e.g. `Kimten forget(session)`.
+ * @returns {void}
+ */
+export function validateSessionId(session, label) {
+  if (typeof session !== 'string' || session.trim() === '') {
+    throw new TypeError(`${label} expects session to be a non-empty string when provided.`);
+  }
+}
+
+/**
+ * Limits for idle sessions kept by one instance.
+ *
+ * @typedef {object} SessionsConfig
+ * @property {number} max Max sessions kept; the least recently used idle one is evicted first.
+ * @property {number | undefined} ttlMs Evict sessions idle for longer than this.
+ */
+
+/**
+ * One conversation: its own memory window and its own serial queue.
+ *
+ * @typedef {object} Session
+ * @property {string} id
+ * @property {import('./memory.js').SessionMemory} memory
+ * @property {Promise<void>} queue Settles once every call queued so far has settled.
+ * @property {number} pending Calls queued or running.
+ * @property {number} lastUsed `Date.now()` of the last acquire/release.
+ * @property {string | undefined} summary Running summary of turns evicted from memory.
+ * @property {import('./memory.js').MemoryMessage[]} unsummarized Evicted messages not folded into `summary` yet.
+ * @property {Promise<void>} summarizing Settles once the latest summary update has finished.
+ * @property {TurnRequest | undefined} lastTurn What produced the newest remembered turn, for `retry()`.
+ */
+
+/**
+ * Input, context and attachments of one call, as passed by the caller.
+ *
+ * @typedef {object} TurnRequest
+ * @property {string} input
+ * @property {Record<string, unknown> | null} context
+ * @property {Array<Record<string, unknown>>} attachments
+ */
+
+/**
+ * @param {unknown} sessions
+ * @returns {SessionsConfig}
+ */
+export function validateSessionsConfig(sessions) {
+  if (sessions === undefined || sessions === null) {
+    return { max: DEFAULT_MAX_SESSIONS, ttlMs: undefined };
+  }
+
+  if (!isPlainObject(sessions)) {
+    throw new TypeError('Kimten config "sessions" must be a plain object when provided.');
+  }
+
+  const { max = DEFAULT_MAX_SESSIONS, ttlMs = undefined } = sessions;
+
+  if (!Number.isInteger(max) || max < 1) {
+    throw new TypeError('Kimten config "sessions.max" must be a positive integer.');
+  }
+
+  if (ttlMs !== undefined && (typeof ttlMs !== 'number' || !Number.isFinite(ttlMs) || ttlMs <= 0)) {
+    throw new TypeError('Kimten config "sessions.ttlMs" must be a positive number when provided.');
+  }
+
+  return { max, ttlMs };
+}
+
+/**
+ * Keep sessions by id, evicting idle ones by TTL and LRU.
+ *
+ * Eviction is lazy (it runs when a session is acquired), so no timers keep
+ * the process alive. Sessions with calls in flight are never evicted.
+ *
+ * @param {SessionsConfig} config
+ * @param {(id: string) => import('./memory.js').SessionMemory} createMemory Memory for a new session.
+ */
+export function createSessionStore({ max, ttlMs }, createMemory) {
+  /** @type {Map<string, Session>} Insertion order doubles as LRU order. */
+  const sessions = new Map();
+
+  function isIdle(session) {
+    return session.pending === 0;
+  }
+
+  function evict(keepId) {
+    const now = Date.now();
+    if (ttlMs !== undefined) {
+      for (const [id, session] of sessions) {
+        if (id !== keepId && isIdle(session) && now - session.lastUsed > ttlMs) {
+          sessions.delete(id);
+        }
+      }
+    }
+
+    for (const [id, session] of sessions) {
+      if (sessions.size <= max) {
+        break;
+      }
+      if (id !== keepId && isIdle(session)) {
+        sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get (or create) a session and mark a call as pending on it.
+   *
+   * @param {string} id
+   * @returns {Session}
+   */
+  function acquire(id) {
+    let session = sessions.get(id);
+    if (session) {
+      sessions.delete(id);
+    } else {
+      session = {
+        id,
+        memory: createMemory(id),
+        queue: Promise.resolve(),
+        pending: 0,
+        lastUsed: 0,
+        summary: undefined,
+        unsummarized: [],
+        summarizing: Promise.resolve(),
+        lastTurn: undefined,
+      };
+    }
+
+    session.pending += 1;
+    session.lastUsed = Date.now();
+    sessions.set(id, session);
+    evict(id);
+    return session;
+  }
+
+  /** @param {Session} session */
+  function release(session) {
+    session.pending -= 1;
+    session.lastUsed = Date.now();
+  }
+
+  /**
+   * Release a call, and drop the session right away if no other call is pending on it.
+   *
+   * @param {Session} session
+   */
+  function discard(session) {
+    release(session);
+    if (isIdle(session) && sessions.get(session.id) === session) {
+      sessions.delete(session.id);
+    }
+  }
+
+  /**
+   * Clear a session's memory and summary.
+   *
+   * @param {Session} session
+   * @returns {Promise<void>}
+   */
+  async function clear(session) {
+    session.summary = undefined;
+    session.unsummarized = [];
+    session.lastTurn = undefined;
+    await session.memory.clear();
+  }
+
+  /**
+   * Sessions currently kept, least recently used first.
+   *
+   * @returns {Session[]}
+   */
+  function list() {
+    return [...sessions.values()];
+  }
+
+  return {
+    acquire,
+    release,
+    discard,
+    clear,
+    list,
+  };
+}
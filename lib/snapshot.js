@@ -0,0 +1,106 @@
+import { isPlainObject } from './guards.js';
+
+export const SNAPSHOT_TYPE = 'kimten.memory';
+export const SNAPSHOT_VERSION = 1;
+
+const MEMORY_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+/**
+ * Versioned, JSON-serializable copy of an instance's conversation memory.
+ *
+ * @typedef {object} MemorySnapshot
+ * @property {'kimten.memory'} type
+ * @property {number} version
+ * @property {Record<string, import('./memory.js').MemoryMessage[]>} sessions Messages per session id, oldest first.
+ * @property {Record<string, string>} [summaries] Running summary per session id (only sessions that have one).
+ */
+
+/**
+ * @param {Iterable<{ id: string, memory: import('./memory.js').SessionMemory, summary?: string }>} sessions
+ * @returns {Promise<MemorySnapshot>}
+ */
+export async function createSnapshot(sessions) {
+  const entries = [];
+  const summaries = [];
+  for (const { id, memory, summary } of sessions) {
+    // JSON round-trip so the snapshot shares nothing with live memory.
+    entries.push([id, JSON.parse(JSON.stringify(await memory.list()))]);
+    if (summary) {
+      summaries.push([id, summary]);
+    }
+  }
+
+  return {
+    type: SNAPSHOT_TYPE,
+    version: SNAPSHOT_VERSION,
+    sessions: Object.fromEntries(entries),
+    ...(summaries.length > 0 ? { summaries: Object.fromEntries(summaries) } : {}),
+  };
+}
+
+function validateMessage(message, path) {
+  if (!isPlainObject(message)) {
+    throw new TypeError(`Kimten restore(snapshot) expects ${path} to be a message object like { role, content }.`);
+  }
+
+  if (!MEMORY_ROLES.includes(message.role)) {
+    throw new TypeError(
+      `Kimten restore(snapshot) ${path}.role must be one of: ${MEMORY_ROLES.join(', ')}.`
+    );
+  }
+
+  if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+    throw new TypeError(`Kimten restore(snapshot) ${path}.content must be a string or an array of content parts.`);
+  }
+}
+
+/**
+ * Validate a snapshot produced by {@link createSnapshot} (possibly read back from disk).
+ *
+ * @param {unknown} snapshot
+ * @returns {MemorySnapshot}
+ */
+export function validateSnapshot(snapshot) {
+  if (!isPlainObject(snapshot) || snapshot.type !== SNAPSHOT_TYPE) {
+    throw new TypeError(`Kimten restore(snapshot) expects a snapshot object with type "${SNAPSHOT_TYPE}".`);
+  }
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new TypeError(
+      `Kimten restore(snapshot) cannot read snapshot version ${JSON.stringify(snapshot.version)}; this Kimten reads version ${SNAPSHOT_VERSION}.`
+    );
+  }
+
+  if (!isPlainObject(snapshot.sessions)) {
+    throw new TypeError('Kimten restore(snapshot) expects "sessions" to be an object of message arrays keyed by session id.');
+  }
+
+  for (const [id, messages] of Object.entries(snapshot.sessions)) {
+    if (id.trim() === '') {
+      throw new TypeError('Kimten restore(snapshot) session ids must be non-empty strings.');
+    }
+
+    if (!Array.isArray(messages)) {
+      throw new TypeError(`Kimten restore(snapshot) expects sessions["${id}"] to be an array of messages.`);
+    }
+
+    messages.forEach((message, index) => validateMessage(message, `sessions["${id}"][${index}]`));
+  }
+
+  if (snapshot.summaries !== undefined) {
+    if (!isPlainObject(snapshot.summaries)) {
+      throw new TypeError('Kimten restore(snapshot) expects "summaries" to be an object of strings keyed by session id.');
+    }
+
+    for (const [id, summary] of Object.entries(snapshot.summaries)) {
+      if (!Object.hasOwn(snapshot.sessions, id)) {
+        throw new TypeError(`Kimten restore(snapshot) summaries["${id}"] has no matching session.`);
+      }
+      if (typeof summary !== 'string') {
+        throw new TypeError(`Kimten restore(snapshot) summaries["${id}"] must be a string.`);
+      }
+    }
+  }
+
+  return snapshot;
+}
@@ -0,0 +1,172 @@
+import { isPlainObject } from './guards.js';
+
+const UNKNOWN_MODEL = 'unknown';
+
+/**
+ * Per-1K-token prices for one model.
+ *
+ * @typedef {object} ModelPrice
+ * @property {number} [input] Price per 1K input tokens.
+ * @property {number} [output] Price per 1K output tokens.
+ */
+
+/**
+ * @typedef {object} TokenTotals
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ */
+
+/**
+ * Cumulative usage snapshot of one Kimten instance.
+ *
+ * @typedef {object} KimtenStats
+ * @property {string | undefined} name
+ * @property {number} plays Plays that resolved.
+ * @property {number} failures Plays that rejected.
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ * @property {Record<string, number>} toyCalls Calls per toy name.
+ * @property {Record<string, TokenTotals>} models Token totals per modelId.
+ * @property {{ total: number, models: Record<string, number>, unpriced: string[] }} [cost]
+ *   Estimated spend; present only when a price table is passed.
+ */
+
+function emptyTotals() {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+}
+
+function toCount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+function validatePrices(prices) {
+  if (!isPlainObject(prices)) {
+    throw new TypeError('Kimten stats(options) option "prices" must be a plain object keyed by modelId.');
+  }
+
+  for (const [modelId, price] of Object.entries(prices)) {
+    if (!isPlainObject(price)) {
+      throw new TypeError(`Kimten stats(options) price for "${modelId}" must be an object like { input, output }.`);
+    }
+
+    for (const key of ['input', 'output']) {
+      const value = price[key];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        throw new TypeError(
+          `Kimten stats(options) price "${modelId}.${key}" must be a non-negative number (per 1K tokens).`
+        );
+      }
+    }
+  }
+}
+
+function estimateCost(models, prices) {
+  const cost = { total: 0, models: {}, unpriced: [] };
+
+  for (const [modelId, totals] of Object.entries(models)) {
+    const price = prices[modelId];
+    if (!price) {
+      cost.unpriced.push(modelId);
+      continue;
+    }
+
+    const modelCost =
+      (totals.inputTokens / 1000) * (price.input ?? 0) + (totals.outputTokens / 1000) * (price.output ?? 0);
+    cost.models[modelId] = modelCost;
+    cost.total += modelCost;
+  }
+
+  return cost;
+}
+
+/**
+ * Create a cumulative usage accumulator for one instance.
+ *
+ * @param {string | undefined} name Instance tag reported in snapshots.
+ */
+export function createStats(name) {
+  let plays = 0;
+  let failures = 0;
+  let totals = emptyTotals();
+  let models = {};
+  let toyCalls = {};
+
+  /**
+   * @param {string | undefined} modelId
+   * @param {Record<string, unknown> | undefined} usage AI SDK step usage.
+   * @returns {number} Tokens counted for this step.
+   */
+  function recordUsage(modelId, usage) {
+    const key = modelId ?? UNKNOWN_MODEL;
+    const inputTokens = toCount(usage?.inputTokens);
+    const outputTokens = toCount(usage?.outputTokens);
+    const totalTokens = toCount(usage?.totalTokens) || inputTokens + outputTokens;
+    const modelTotals = (models[key] ??= emptyTotals());
+
+    for (const target of [totals, modelTotals]) {
+      target.inputTokens += inputTokens;
+      target.outputTokens += outputTokens;
+      target.totalTokens += totalTokens;
+    }
+
+    return totalTokens;
+  }
+
+  /** @param {string} toyName */
+  function recordToyCall(toyName) {
+    toyCalls[toyName] = (toyCalls[toyName] ?? 0) + 1;
+  }
+
+  function recordPlay() {
+    plays += 1;
+  }
+
+  function recordFailure() {
+    failures += 1;
+  }
+
+  /**
+   * @param {{ prices?: Record<string, ModelPrice> }} [options]
+   * @returns {KimtenStats}
+   */
+  function snapshot(options = undefined) {
+    if (options !== undefined && options !== null && !isPlainObject(options)) {
+      throw new TypeError('Kimten stats(options) expects options to be a plain object when provided.');
+    }
+
+    const prices = options?.prices;
+    if (prices !== undefined) {
+      validatePrices(prices);
+    }
+
+    const modelsCopy = Object.fromEntries(Object.entries(models).map(([key, value]) => [key, { ...value }]));
+    return {
+      name,
+      plays,
+      failures,
+      ...totals,
+      toyCalls: { ...toyCalls },
+      models: modelsCopy,
+      ...(prices !== undefined ? { cost: estimateCost(modelsCopy, prices) } : {}),
+    };
+  }
+
+  function reset() {
+    plays = 0;
+    failures = 0;
+    totals = emptyTotals();
+    models = {};
+    toyCalls = {};
+  }
+
+  return {
+    recordUsage,
+    recordToyCall,
+    recordPlay,
+    recordFailure,
+    snapshot,
+    reset,
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * A single incremental event emitted by `playStream()`.
+ *
+ * @typedef {{ type: 'text', text: string } | { type: 'partial', output: unknown }} PlayStreamEvent
+ */
+
+/**
+ * Push-based async iterable used to hand stream events to the caller.
+ *
+ * Events are buffered until they are read, so producers never wait on slow
+ * (or absent) consumers. A failure is surfaced to the reader after any
+ * already-buffered events.
+ *
+ * @typedef {object} EventChannel
+ * @property {(event: PlayStreamEvent) => void} push
+ * @property {() => void} close
+ * @property {(error: unknown) => void} fail
+ * @property {() => AsyncIterator<PlayStreamEvent>} [Symbol.asyncIterator]
+ */
+
+/**
+ * Create a push-based event channel.
+ *
+ * @returns {EventChannel}
+ */
+export function createEventChannel() {
+  const buffer = [];
+  const waiting = [];
+  let done = false;
+  let failure = null;
+
+  function settleWaiting() {
+    while (waiting.length > 0 && (buffer.length > 0 || done)) {
+      const { resolve, reject } = waiting.shift();
+      if (buffer.length > 0) {
+        resolve({ value: buffer.shift(), done: false });
+      } else if (failure) {
+        reject(failure.error);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  }
+
+  function push(event) {
+    if (done) {
+      return;
+    }
+    buffer.push(event);
+    settleWaiting();
+  }
+
+  function close() {
+    done = true;
+    settleWaiting();
+  }
+
+  function fail(error) {
+    if (done) {
+      return;
+    }
+    failure = { error };
+    close();
+  }
+
+  function next() {
+    if (buffer.length > 0) {
+      return Promise.resolve({ value: buffer.shift(), done: false });
+    }
+
+    if (done) {
+      return failure ? Promise.reject(failure.error) : Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+    });
+  }
+
+  return {
+    push,
+    close,
+    fail,
+    [Symbol.asyncIterator]() {
+      return { next };
+    },
+  };
+}
@@ -0,0 +1,31 @@
+import { generateText } from 'ai';
+import { buildSummaryPrompt, SUMMARY_INSTRUCTIONS } from './prompt.js';
+
+/**
+ * Fold turns that fell out of the memory window into the running summary.
+ *
+ * @param {{
+ *   model: import('./kimten.js').BrainModel,
+ *   previousSummary: string | undefined,
+ *   messages: import('./memory.js').MemoryMessage[],
+ *   abortSignal?: AbortSignal,
+ *   maxRetries?: number
+ * }} options `abortSignal` and `maxRetries` are passed to the SDK (its default retries when omitted).
+ * @returns {Promise<{ summary: string, usage: Record<string, unknown> | undefined }>}
+ */
+export async function summarizeTurns({ model, previousSummary, messages, abortSignal = undefined, maxRetries = undefined }) {
+  const result = await generateText({
+    model,
+    abortSignal,
+    maxRetries,
+    system: SUMMARY_INSTRUCTIONS,
+    prompt: buildSummaryPrompt(previousSummary, messages),
+  });
+
+  const summary = typeof result.text === 'string' ? result.text.trim() : '';
+  if (summary === '') {
+    throw new Error('Kimten summary brain returned an empty summary.');
+  }
+
+  return { summary, usage: result.usage };
+}
@@ -0,0 +1,133 @@
+import { isPlainObject } from './guards.js';
+
+/** `{{name}}` placeholders; whitespace inside the braces is allowed. */
+const PLACEHOLDER = /\{\{\s*([A-Za-z_$][\w$]*)\s*\}\}/g;
+
+/**
+ * One input template, as configured: the text, or the text with a Zod schema
+ * its variables must match.
+ *
+ * @typedef {string | { text: string, schema?: import('zod').ZodTypeAny }} TemplateDefinition
+ */
+
+/**
+ * Normalized template.
+ *
+ * @typedef {object} Template
+ * @property {string} text
+ * @property {string[]} variables Placeholder names, in order of first use.
+ * @property {import('zod').ZodTypeAny | undefined} schema
+ */
+
+function variablesOf(text) {
+  return [...new Set(Array.from(text.matchAll(PLACEHOLDER), (match) => match[1]))];
+}
+
+function normalizeTemplate(name, definition) {
+  if (typeof definition === 'string') {
+    return normalizeTemplate(name, { text: definition });
+  }
+
+  if (!isPlainObject(definition)) {
+    throw new TypeError(`Kimten config "templates.${name}" must be a string or a { text, schema } object.`);
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (key !== 'text' && key !== 'schema') {
+      throw new TypeError(`Kimten config "templates.${name}" does not support "${key}". Allowed keys: text, schema.`);
+    }
+  }
+
+  const { text, schema = undefined } = definition;
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new TypeError(`Kimten config "templates.${name}.text" must be a non-empty string.`);
+  }
+
+  if (schema !== undefined && (schema === null || typeof schema.safeParse !== 'function')) {
+    throw new TypeError(`Kimten config "templates.${name}.schema" must be a Zod schema when provided.`);
+  }
+
+  return { text, variables: variablesOf(text), schema };
+}
+
+/**
+ * @param {unknown} templates
+ * @returns {Record<string, Template>}
+ */
+export function validateTemplates(templates) {
+  if (templates === undefined || templates === null) {
+    return {};
+  }
+
+  if (!isPlainObject(templates)) {
+    throw new TypeError('Kimten config "templates" must be an object map of template names to templates.');
+  }
+
+  return Object.fromEntries(
+    Object.entries(templates).map(([name, definition]) => [name, normalizeTemplate(name, definition)])
+  );
+}
+
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return Array.isArray(value) || isPlainObject(value) ? JSON.stringify(value) : String(value);
+}
+
+function formatIssues(issues) {
+  return issues
+    .map((issue) => {
+      const path = Array.isArray(issue.path) && issue.path.length > 0 ? issue.path.join('.') : '(root)';
+      return `${path}: ${issue.message}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Fill in a template. Variables are checked against the template's schema
+ * (its parsed output is what gets rendered), then every placeholder must have
+ * a value and every variable must be used.
+ *
+ * @param {Record<string, Template>} templates
+ * @param {unknown} name
+ * @param {unknown} vars
+ * @returns {string}
+ */
+export function renderTemplate(templates, name, vars) {
+  if (typeof name !== 'string' || !Object.hasOwn(templates, name)) {
+    const known = Object.keys(templates);
+    throw new TypeError(
+      `Kimten playTemplate(name) found no template ${JSON.stringify(String(name))}.${
+        known.length > 0 ? ` Known templates: ${known.join(', ')}.` : ' No templates are configured.'
+      }`
+    );
+  }
+
+  const label = `Kimten playTemplate(${JSON.stringify(name)})`;
+  if (!isPlainObject(vars)) {
+    throw new TypeError(`${label} expects vars to be a plain object.`);
+  }
+
+  const { text, variables, schema } = templates[name];
+  const extra = Object.keys(vars).filter((key) => !variables.includes(key));
+  if (extra.length > 0) {
+    throw new TypeError(`${label} got unknown variables: ${extra.join(', ')}.`);
+  }
+
+  let values = vars;
+  if (schema) {
+    const parsed = schema.safeParse(vars);
+    if (!parsed.success) {
+      throw new TypeError(`${label} variables do not match the schema: ${formatIssues(parsed.error?.issues ?? [])}.`);
+    }
+    values = parsed.data;
+  }
+
+  const missing = variables.filter((key) => values?.[key] === undefined);
+  if (missing.length > 0) {
+    throw new TypeError(`${label} is missing variables: ${missing.join(', ')}.`);
+  }
+
+  return text.replace(PLACEHOLDER, (_, key) => formatValue(values[key]));
+}
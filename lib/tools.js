@@ -11,6 +11,7 @@ import { isPlainObject } from './guards.js';
  *
  * @callback ToolExecute
  * @param {any} args
+ * @param {{ signal?: AbortSignal }} [options] Carries the call's abort signal when `signal`/`timeoutMs` is set.
  * @returns {any | Promise<any>}
  */
 
@@ -30,6 +31,14 @@ import { isPlainObject } from './guards.js';
  * @typedef {Record<string, ToyDefinition>} Toys
  */
 
+/**
+ * Receives toy call/result notifications from wrapped tools.
+ *
+ * @typedef {object} ToyObserver
+ * @property {(event: { toolName: string, toolCallId?: string, args: any }, context: unknown) => void} [onToolCall]
+ * @property {(event: { toolName: string, toolCallId?: string, args: any, result: any, durationMs: number }, context: unknown) => void} [onToolResult]
+ */
+
 /**
  * Normalize a toy registry into AI SDK tool objects.
  *
@@ -38,10 +47,14 @@ import { isPlainObject } from './guards.js';
  * Tool execution is wrapped so thrown errors become JSON-safe results:
  * `{ error, toolName }` (Kimten does not re-throw tool errors).
  *
+ * The optional `observer` is told about every call and result; it receives the
+ * AI SDK `experimental_context` of the run as its second argument.
+ *
  * @param {Toys | null | undefined} toys
+ * @param {ToyObserver} [observer]
  * @returns {Record<string, ReturnType<typeof tool>>}
  */
-export function normalizeToys(toys) {
+export function normalizeToys(toys, observer = undefined) {
   if (toys === undefined || toys === null) {
     return {};
   }
@@ -63,16 +76,27 @@ export function normalizeToys(toys) {
       inputSchema: definition.inputSchema,
       ...(definition.description ? { description: definition.description } : {}),
       ...(definition.strict !== undefined ? { strict: definition.strict } : {}),
-      async execute(args) {
+      async execute(args, options) {
+        const context = options?.experimental_context;
+        const toolCallId = options?.toolCallId;
+        observer?.onToolCall?.({ toolName: name, toolCallId, args }, context);
+
+        const startedAt = Date.now();
+        let result;
         try {
-          const result = await definition.execute(args);
-          return toJsonSafe(result);
+          result = toJsonSafe(await definition.execute(args, { signal: options?.abortSignal }));
         } catch (error) {
-          return {
+          result = {
             error: error instanceof Error ? error.message : String(error),
             toolName: name,
           };
         }
+
+        observer?.onToolResult?.(
+          { toolName: name, toolCallId, args, result, durationMs: Date.now() - startedAt },
+          context
+        );
+        return result;
       },
     });
   }
@@ -4,7 +4,7 @@
  * Unit tests for the Kimten library, covering:
  * - Memory behavior and FIFO eviction via createMemory()
  * - Tool normalization and validation via normalizeToys()
- * - Kimten factory validation, behavior, and caching (play/forget)
+ * - Kimten factory validation, behavior, and caching (play, memory, sessions, snapshots and forks)
  *
  * Helpers:
  * @function createFakeModel
@@ -14,13 +14,78 @@
  *
  * @function createSpyModel
  * @param {Object} opts
- * @param {string} opts.text - Text to return as the model generation result.
+ * @param {string | string[] | ((call: number) => string)} [opts.text] - Reply text; an array scripts one reply per
+ *   call (the last one repeats), a function gets the 1-based call number.
+ * @param {(call: number) => Array<{toolName: string, input: Object}>} [opts.toolCalls] - Tool calls to request on a
+ *   call instead of replying with text (an empty array replies with text).
  * @param {Array} [opts.prompts] - Array to which invoked prompts will be pushed.
  * @param {Array} [opts.calls] - Array to which raw doGenerate options will be pushed.
- * @returns {Object} Fake model that records prompts passed to doGenerate().
+ * @param {number} [opts.failures] - Number of leading doGenerate calls that throw.
+ * @param {string} [opts.modelId] - Model id reported to the SDK (default: "fake").
+ * @param {Object} [opts.counter] - Receives the `calls` count.
+ * @returns {Object} Scripted fake model that records prompts passed to doGenerate().
+ *
+ * @function createStreamModel
+ * @param {Object} opts
+ * @param {string[]} opts.chunks - Text deltas emitted by doStream().
+ * @param {Array} [opts.prompts] - Array to which streamed prompts will be pushed.
+ * @param {Error} [opts.error] - Error emitted after the chunks instead of finishing.
+ * @returns {Object} Fake model that streams the given chunks.
+ *
+ * @function createToolCallModel
+ * @param {Object} opts
+ * @param {Array<{toolName: string, input: Object}>} opts.toolCalls - Tool calls requested on the first step.
+ * @param {string} opts.text - Final text returned once tool results are present.
+ * @param {Array} [opts.calls] - Array to which raw doGenerate options will be pushed.
+ * @returns {Object} Fake model that requests tool calls, then answers.
+ *
+ * @function createFlakyModel
+ * @param {Object} opts
+ * @param {number} opts.failures - Number of leading doGenerate calls that throw.
+ * @param {Function} [opts.makeError] - Builds the thrown error (defaults to a 503).
+ * @param {Object} [opts.counter] - Receives the `calls` count.
+ * @returns {Object} Fake model that fails N times before answering "ok".
+ *
+ * @function createSdkError
+ * @param {number} statusCode
+ * @returns {Error} AI SDK APICallError marked retryable, as the SDK's own retries see it.
+ *
+ * @function createHangingModel
+ * @param {Object} opts
+ * @param {Array} opts.prompts - Array to which invoked prompts will be pushed.
+ * @returns {Object} Fake model that answers "ok", but hangs until aborted when a user message contains "hang".
+ *
+ * @function createHttpError
+ * @param {number} statusCode
+ * @param {string} [message] - Error message (default: "HTTP <statusCode>").
+ * @returns {Error} Plain error carrying `statusCode`, as provider errors do.
+ *
+ * @function createRecordingStore
+ * @param {Object} [opts]
+ * @param {number} [opts.delayMs] - Delay before each add() and list() settles.
+ * @param {boolean} [opts.failAdd] - Make add() reject.
+ * @param {boolean} [opts.failList] - Make list() reject.
+ * @returns {Object} In-process custom memory store exposing `ops` (every call made) and `data` (messages per session).
+ *
+ * @function collect
+ * @param {AsyncIterable} iterable
+ * @returns {Promise<Array>} Every item the iterable yields, e.g. playStream() events.
+ *
+ * @function historyOf
+ * @param {Array} prompt
+ * @returns {string[]} Texts of the user and assistant messages of a prompt.
+ *
+ * @function systemOf
+ * @param {Array} prompt
+ * @returns {string} The system message of a prompt ('' when there is none).
+ *
+ * @function promptText
+ * @param {Array} prompt
+ * @returns {string} Texts of every message of a prompt, one per line.
  *
  * Test coverage highlights:
  * - createMemory enforces MEMORY_LIMIT and supports clear() and list().
+ * - createMemory evicts whole turns, so the window never starts with an orphaned reply.
  * - normalizeToys:
  *   - accepts object-form tool definitions with description, inputSchema, strict flag
  *   - rejects shorthand function tools
@@ -28,25 +93,75 @@
  *   - rejects non-plain objects and invalid property types
  * - Kimten:
  *   - validates constructor arguments (config object, brain, personality, hops)
- *   - exposes only play() and forget() methods
+ *   - exposes play(), playStream(), playTemplate(), forget(), undo(), retry(), stats(), snapshot(), restore()
+ *     and fork(), plus the optional name tag
  *   - enforces play() input type (string)
  *   - supports optional personality and toys
  *   - returns structured output when configured with a Zod box schema
  *   - forget() clears conversation memory so subsequent prompts omit assistant history
+ *   - forget() queues behind calls in flight on a session, like undo()
+ *   - forget() keeps later calls waiting until a custom store has cleared every session
+ *   - playStream() yields text deltas / partial box objects and shares the play queue
+ *   - signal/timeoutMs abort queued and in-flight calls without touching memory
+ *   - an aborted waiting call keeps later calls queued behind the one still running
+ *   - detailed: true exposes usage, steps, tool calls and finish reason
+ *   - lifecycle hooks fire with redacted payloads and never break a play
+ *   - retry replays transient failures with backoff, but never re-runs finished toys by default
+ *   - retry turns off the AI SDK's own retries, so attempts count model calls (summaries included)
+ *   - brain fallback chains replay a failed turn on the next model and report who answered
+ *   - fallback chains move on at once, without the AI SDK's own retries
+ *   - a budget error ends the turn instead of falling back to the next brain
+ *   - stats() accumulates tokens, plays, failures and toy calls, with optional pricing
+ *   - budgets reject exhausted instances up front and cut loops short with KimtenBudgetError
+ *   - maxPlays counts plays still in flight on other sessions
+ *   - session ids keep separate memory windows and queues, with LRU/TTL eviction of idle sessions
+ *   - snapshot()/restore() round-trip memory as versioned JSON and reject malformed snapshots
+ *   - restore() queues behind calls in flight on a session, like undo()
+ *   - custom async memory stores (and the JSONL file store) are awaited and committed only after success
+ *   - clearing the JSONL file store leaves foreign .jsonl files in its directory alone
+ *   - memory window limits by message count and estimated tokens, evicting oldest whole turns
+ *     but always keeping the newest one (long texts cut to the token budget)
+ *   - evicted turns fold into a running summary that is injected, snapshotted and forgotten
+ *   - summary updates run under the evicting call's signal, report failures to onError, and never block an aborted call
+ *   - memory.includeToolSteps remembers tool calls with their results and evicts them together,
+ *     trimming the oldest tool steps of a turn bigger than the window
+ *   - undo() drops the newest turn and retry() replaces its reply, reusing context only on request
+ *   - retry() replays an input whole even when the memory window cut it
+ *   - undo() on a custom store puts the conversation back when writing it fails
+ *   - fork() branches an instance with copied memory and config overrides, leaving the parent untouched
+ *   - fork() copies only open sessions unless copy names others, which are read from the store
+ *   - repair sends box validation issues back to the model and reports every attempt
+ *   - repair runs on the failing brain before any fallback and never replays finished toys by default
+ *   - box arrays, enums/literal unions and primitives map to array, choice and wrapped value outputs
+ *   - redact config masks context and hook payloads by key, value pattern, allowlist and custom hook
+ *   - contextLimit keeps oversized context valid JSON, honours key priorities and reports elided paths
+ *   - contextFormat renders context as JSON, YAML, XML, Markdown or via a custom function
+ *   - instance context and opt-in built-ins are deep-merged under each call's context
+ *   - playTemplate renders named templates, validates variables and remembers the rendered input
+ *   - schemaHint switches the box hint between compact, JSON Schema, none and a custom function
  * 
  * Note: These tests are not exhaustive but cover key behaviors and edge cases of the Kimten library.
  */
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
 import { setTimeout as delay } from 'node:timers/promises';
-import { ToolLoopAgent } from 'ai';
+import { APICallError, ToolLoopAgent } from 'ai';
 import { z } from 'zod';
 import { createMemory, MEMORY_LIMIT } from '../lib/memory.js';
+import { fitWindow } from '../lib/memory-window.js';
 import { normalizeToys } from '../lib/tools.js';
-import Kimten, { Kimten as NamedKimten } from '../index.js';
+import Kimten, {
+  Kimten as NamedKimten,
+  KimtenBudgetError,
+  KimtenFallbackError,
+  KimtenRetryError,
+  createJsonlStore,
+  createRedactor,
+  isTransientError,
+} from '../index.js';
 
 function createFakeModel({ text }) {
   return {
@@ -68,19 +183,129 @@ function createFakeModel({ text }) {
   };
 }
 
-function createSpyModel({ text, prompts, calls }) {
+function createSpyModel({
+  text = 'ok',
+  toolCalls = () => [],
+  failures = 0,
+  modelId = 'fake',
+  prompts,
+  calls,
+  counter = {},
+}) {
+  counter.calls = 0;
   return {
     specificationVersion: 'v2',
     provider: 'test',
-    modelId: 'fake',
+    modelId,
     supportedUrls: {},
     async doGenerate(options) {
+      counter.calls += 1;
+      if (Array.isArray(prompts)) {
+        prompts.push(options.prompt);
+      }
+      if (Array.isArray(calls)) {
+        calls.push(options);
+      }
+      if (counter.calls <= failures) {
+        throw new Error(`${modelId} down`);
+      }
+      const requested = toolCalls(counter.calls);
+      if (requested.length > 0) {
+        return {
+          finishReason: 'tool-calls',
+          usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+          content: requested.map((call, index) => ({
+            type: 'tool-call',
+            toolCallId: `call-${counter.calls}-${index}`,
+            toolName: call.toolName,
+            input: JSON.stringify(call.input),
+          })),
+          warnings: [],
+        };
+      }
+      let reply = text;
+      if (typeof text === 'function') {
+        reply = text(counter.calls);
+      } else if (Array.isArray(text)) {
+        reply = text[Math.min(counter.calls, text.length) - 1];
+      }
+      return {
+        finishReason: 'stop',
+        usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+        content: [{ type: 'text', text: reply }],
+        warnings: [],
+      };
+    },
+    async doStream() {
+      throw new Error('not used');
+    },
+  };
+}
+
+function createStreamModel({ chunks, prompts, error }) {
+  return {
+    specificationVersion: 'v2',
+    provider: 'test',
+    modelId: 'stream',
+    supportedUrls: {},
+    async doGenerate() {
+      throw new Error('not used');
+    },
+    async doStream(options) {
       if (Array.isArray(prompts)) {
         prompts.push(options.prompt);
       }
+      const parts = [
+        { type: 'stream-start', warnings: [] },
+        { type: 'text-start', id: 't1' },
+        ...chunks.map((delta) => ({ type: 'text-delta', id: 't1', delta })),
+        { type: 'text-end', id: 't1' },
+        error
+          ? { type: 'error', error }
+          : {
+              type: 'finish',
+              finishReason: 'stop',
+              usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+            },
+      ];
+      return {
+        stream: new ReadableStream({
+          start(controller) {
+            for (const part of parts) {
+              controller.enqueue(part);
+            }
+            controller.close();
+          },
+        }),
+      };
+    },
+  };
+}
+
+function createToolCallModel({ toolCalls, text, calls }) {
+  return {
+    specificationVersion: 'v2',
+    provider: 'test',
+    modelId: 'tooly',
+    supportedUrls: {},
+    async doGenerate(options) {
       if (Array.isArray(calls)) {
         calls.push(options);
       }
+      const hasToolResults = options.prompt.some((m) => m.role === 'tool');
+      if (!hasToolResults) {
+        return {
+          finishReason: 'tool-calls',
+          usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+          content: toolCalls.map((call, index) => ({
+            type: 'tool-call',
+            toolCallId: `call-${index}`,
+            toolName: call.toolName,
+            input: JSON.stringify(call.input),
+          })),
+          warnings: [],
+        };
+      }
       return {
         finishReason: 'stop',
         usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
@@ -94,6 +319,80 @@ function createSpyModel({ text, prompts, calls }) {
   };
 }
 
+function createHangingModel({ prompts }) {
+  return {
+    specificationVersion: 'v2',
+    provider: 'test',
+    modelId: 'hanging',
+    supportedUrls: {},
+    async doGenerate(options) {
+      prompts.push(options.prompt);
+      if (options.prompt.some((m) => m.role === 'user' && JSON.stringify(m.content).includes('hang'))) {
+        await new Promise((resolve, reject) => {
+          options.abortSignal?.addEventListener('abort', () => reject(options.abortSignal.reason));
+        });
+      }
+      return {
+        finishReason: 'stop',
+        usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+        content: [{ type: 'text', text: 'ok' }],
+        warnings: [],
+      };
+    },
+    async doStream() {
+      throw new Error('not used');
+    },
+  };
+}
+
+function createHttpError(statusCode, message = `HTTP ${statusCode}`) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/** An AI SDK `APICallError`, which the SDK itself retries unless `maxRetries` is 0. */
+function createSdkError(statusCode) {
+  return new APICallError({
+    message: `HTTP ${statusCode}`,
+    url: 'https://api.example.test',
+    requestBodyValues: {},
+    statusCode,
+    isRetryable: true,
+  });
+}
+
+function createFlakyModel({ failures, makeError = () => createHttpError(503), counter = {} }) {
+  counter.calls = 0;
+  return {
+    specificationVersion: 'v2',
+    provider: 'test',
+    modelId: 'flaky',
+    supportedUrls: {},
+    async doGenerate() {
+      counter.calls += 1;
+      if (counter.calls <= failures) {
+        throw makeError(counter.calls);
+      }
+      return {
+        finishReason: 'stop',
+        usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+        content: [{ type: 'text', text: 'ok' }],
+        warnings: [],
+      };
+    },
+    async doStream() {
+      throw new Error('not used');
+    },
+  };
+}
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) {
+    events.push(event);
+  }
+  return events;
+}
+
 test('default and named exports are the same function', () => {
   assert.equal(typeof Kimten, 'function');
   assert.equal(Kimten, NamedKimten);
@@ -110,6 +409,19 @@ test('createMemory enforces FIFO memory limit', () => {
   assert.equal(history[0].content, '2');
 });
 
+test('createMemory evicts whole turns instead of orphaning a reply', () => {
+  const memory = createMemory(3);
+  memory.add({ role: 'user', content: 'a' });
+  memory.add({ role: 'assistant', content: 'A' });
+  memory.add({ role: 'user', content: 'b' });
+  memory.add({ role: 'assistant', content: 'B' });
+
+  assert.deepEqual(memory.list(), [
+    { role: 'user', content: 'b' },
+    { role: 'assistant', content: 'B' },
+  ]);
+});
+
 test('createMemory clear empties history', () => {
   const memory = createMemory();
   memory.add({ role: 'user', content: 'hello' });
@@ -288,7 +600,7 @@ test('Kimten validates constructor config', () => {
   assert.throws(() => Kimten({ brain: {}, toys: {}, box: 'bad' }), /box/i);
 });
 
-test('Kimten returns play/forget and optional name tag', () => {
+test('Kimten returns play/playStream/playTemplate/forget/stats/snapshot/restore and optional name tag', () => {
   const cat = Kimten({
     brain: createFakeModel({ text: 'ok' }),
     toys: {},
@@ -302,9 +614,32 @@ test('Kimten returns play/forget and optional name tag', () => {
   });
 
   const keys = Object.keys(cat).sort();
-  assert.deepEqual(keys, ['forget', 'play']);
+  assert.deepEqual(keys, [
+    'forget',
+    'fork',
+    'play',
+    'playStream',
+    'playTemplate',
+    'restore',
+    'retry',
+    'snapshot',
+    'stats',
+    'undo',
+  ]);
   assert.equal(namedCat.name, 'alpha');
-  assert.deepEqual(Object.keys(namedCat).sort(), ['forget', 'name', 'play']);
+  assert.deepEqual(Object.keys(namedCat).sort(), [
+    'forget',
+    'fork',
+    'name',
+    'play',
+    'playStream',
+    'playTemplate',
+    'restore',
+    'retry',
+    'snapshot',
+    'stats',
+    'undo',
+  ]);
 });
 
 test('Kimten play(input) enforces string input', async () => {
@@ -908,7 +1243,7 @@ test('Kimten does not persist box schema hint in prior user memory entries', asy
   assert.match(secondUserText, /second/);
 });
 
-test('Kimten truncates oversized context in injected prompt', async () => {
+test('Kimten shortens oversized context in injected prompt and keeps it valid JSON', async () => {
   const prompts = [];
   const cat = Kimten({
     brain: createSpyModel({ text: 'ok', prompts }),
@@ -925,7 +1260,8 @@ test('Kimten truncates oversized context in injected prompt', async () => {
     : userMessage.content;
 
   assert.match(userText, /Context \(JSON\):/i);
-  assert.match(userText, /\.\.\.\(truncated\)/);
+  const json = userText.slice(userText.indexOf('{'), userText.indexOf('\n\nUser message:'));
+  assert.match(JSON.parse(json).blob, /^x{1000}…\(\+7000 chars\)$/);
 });
 
 test('Kimten does not persist failed calls to memory history', async () => {
@@ -1014,3 +1350,2391 @@ test('Kimten serializes concurrent play calls to avoid overlapping memory writes
     ['system', 'user', 'assistant', 'user']
   );
 });
+
+test('Kimten playStream yields text deltas and resolves the final text', async () => {
+  const cat = Kimten({
+    brain: createStreamModel({ chunks: ['Hel', 'lo', '!'] }),
+    personality: 'helper',
+  });
+
+  const stream = cat.playStream('hi');
+  const events = await collect(stream);
+
+  assert.deepEqual(events, [
+    { type: 'text', text: 'Hel' },
+    { type: 'text', text: 'lo' },
+    { type: 'text', text: '!' },
+  ]);
+  assert.equal(await stream.result, 'Hello!');
+});
+
+test('Kimten playStream yields partial objects when box is configured', async () => {
+  const cat = Kimten({
+    brain: createStreamModel({ chunks: ['{"name":', '"ki', 'm"}'] }),
+    personality: 'helper',
+    box: z.object({ name: z.string() }),
+  });
+
+  const stream = cat.playStream('extract name');
+  const events = await collect(stream);
+  const partials = events.filter((event) => event.type === 'partial').map((event) => event.output);
+
+  assert.deepEqual(partials[partials.length - 1], { name: 'kim' });
+  assert.ok(partials.length >= 2);
+  assert.deepEqual(await stream.result, { name: 'kim' });
+});
+
+test('Kimten playStream commits memory only after the stream finishes', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createStreamModel({ chunks: ['ok'], prompts }),
+    personality: 'helper',
+  });
+
+  await cat.playStream('one').result;
+  await cat.playStream('two').result;
+
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user', 'assistant', 'user']
+  );
+});
+
+test('Kimten playStream does not persist failed streams and surfaces the error', async () => {
+  const prompts = [];
+  let failing = true;
+  const failingModel = createStreamModel({ chunks: ['par'], prompts, error: new Error('stream broke') });
+  const okModel = createStreamModel({ chunks: ['ok'], prompts });
+  const cat = Kimten({
+    brain: {
+      ...okModel,
+      async doStream(options) {
+        return failing ? failingModel.doStream(options) : okModel.doStream(options);
+      },
+    },
+    personality: 'helper',
+  });
+
+  const broken = cat.playStream('first');
+  await assert.rejects(() => collect(broken), /stream broke/);
+  await assert.rejects(() => broken.result, /stream broke/);
+
+  failing = false;
+  await cat.playStream('second').result;
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user']
+  );
+});
+
+test('Kimten playStream waits for queued play calls', async () => {
+  const order = [];
+  const cat = Kimten({
+    brain: {
+      ...createStreamModel({ chunks: ['streamed'] }),
+      async doGenerate() {
+        await delay(25);
+        order.push('play');
+        return {
+          finishReason: 'stop',
+          usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+          content: [{ type: 'text', text: 'ok' }],
+          warnings: [],
+        };
+      },
+    },
+    personality: 'helper',
+  });
+
+  const played = cat.play('first');
+  const stream = cat.playStream('second');
+  const events = await collect(stream);
+  order.push('stream');
+
+  assert.equal(await played, 'ok');
+  assert.deepEqual(order, ['play', 'stream']);
+  assert.deepEqual(events, [{ type: 'text', text: 'streamed' }]);
+});
+
+test('Kimten playStream rejects invalid input through the result and iterator', async () => {
+  const cat = Kimten({
+    brain: createStreamModel({ chunks: ['ok'] }),
+    personality: 'helper',
+  });
+
+  const stream = cat.playStream(1);
+  await assert.rejects(() => stream.result, /expects input to be a string/i);
+  await assert.rejects(() => collect(stream), /expects input to be a string/i);
+});
+
+test('Kimten play validates signal and timeoutMs options', async () => {
+  const cat = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    personality: 'helper',
+  });
+
+  await assert.rejects(() => cat.play('hi', null, { signal: {} }), /"signal" must be an AbortSignal/i);
+  await assert.rejects(() => cat.play('hi', null, { timeoutMs: 0 }), /"timeoutMs" must be a positive number/i);
+  await assert.rejects(() => cat.play('hi', null, { timeoutMs: Number.NaN }), /"timeoutMs" must be a positive number/i);
+  assert.equal(await cat.play('hi', null, { signal: new AbortController().signal, timeoutMs: 1000 }), 'ok');
+});
+
+test('Kimten play forwards the abort signal to the model and toys', async () => {
+  const calls = [];
+  const toySignals = [];
+  const controller = new AbortController();
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [{ toolName: 'ping', input: {} }], text: 'done', calls }),
+    personality: 'helper',
+    toys: {
+      ping: {
+        async execute(args, { signal }) {
+          toySignals.push(signal);
+          return 'pong';
+        },
+      },
+    },
+  });
+
+  const out = await cat.play('ping it', null, { signal: controller.signal });
+  assert.equal(out, 'done');
+  assert.ok(calls[0].abortSignal instanceof AbortSignal);
+  assert.equal(toySignals.length, 1);
+  assert.ok(toySignals[0] instanceof AbortSignal);
+  controller.abort();
+  assert.equal(toySignals[0].aborted, true);
+});
+
+test('Kimten play rejects queued calls as soon as their signal aborts', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: {
+      ...createSpyModel({ text: 'ok', prompts }),
+      async doGenerate(options) {
+        prompts.push(options.prompt);
+        await delay(30);
+        return {
+          finishReason: 'stop',
+          usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+          content: [{ type: 'text', text: 'ok' }],
+          warnings: [],
+        };
+      },
+    },
+    personality: 'helper',
+  });
+
+  const controller = new AbortController();
+  const first = cat.play('first');
+  const queued = cat.play('queued', null, { signal: controller.signal });
+  const startedAt = Date.now();
+  controller.abort();
+
+  await assert.rejects(() => queued, { name: 'AbortError' });
+  assert.ok(Date.now() - startedAt < 25);
+  assert.equal(await first, 'ok');
+  await cat.play('third');
+
+  assert.equal(prompts.length, 2);
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user', 'assistant', 'user']
+  );
+});
+
+test('Kimten keeps later calls queued behind a running call when a waiting call aborts', async () => {
+  const prompts = [];
+  let running = 0;
+  let maxRunning = 0;
+  const cat = Kimten({
+    brain: {
+      ...createSpyModel({ text: 'ok', prompts }),
+      async doGenerate(options) {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        prompts.push(options.prompt);
+        await delay(30);
+        running -= 1;
+        return {
+          finishReason: 'stop',
+          usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+          content: [{ type: 'text', text: 'ok' }],
+          warnings: [],
+        };
+      },
+    },
+    personality: 'helper',
+  });
+
+  const controller = new AbortController();
+  const inFlight = cat.play('b');
+  const aborted = cat.play('a', null, { signal: controller.signal });
+  const last = cat.play('c');
+  await delay(5);
+  controller.abort();
+
+  await assert.rejects(() => aborted, { name: 'AbortError' });
+  assert.equal(await inFlight, 'ok');
+  assert.equal(await last, 'ok');
+  assert.equal(maxRunning, 1);
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user', 'assistant', 'user']
+  );
+});
+
+test('Kimten play rejects immediately when given an already-aborted signal', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+  });
+
+  await assert.rejects(
+    () => cat.play('hi', null, { signal: AbortSignal.abort() }),
+    { name: 'AbortError' }
+  );
+  assert.equal(prompts.length, 0);
+});
+
+test('Kimten timeoutMs unblocks the queue after a hung provider without touching memory', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createHangingModel({ prompts }),
+    personality: 'helper',
+  });
+
+  await cat.play('warm up');
+  await assert.rejects(() => cat.play('hang please', null, { timeoutMs: 20 }), { name: 'TimeoutError' });
+  await cat.play('after');
+
+  const lastPrompt = prompts[prompts.length - 1];
+  assert.deepEqual(
+    lastPrompt.map((m) => m.role),
+    ['system', 'user', 'assistant', 'user']
+  );
+});
+
+test('Kimten does not commit memory when aborted after the provider already answered', async () => {
+  const prompts = [];
+  const controller = new AbortController();
+  const cat = Kimten({
+    brain: {
+      ...createSpyModel({ text: 'ok', prompts }),
+      async doGenerate(options) {
+        prompts.push(options.prompt);
+        controller.abort();
+        return {
+          finishReason: 'stop',
+          usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 },
+          content: [{ type: 'text', text: 'ok' }],
+          warnings: [],
+        };
+      },
+    },
+    personality: 'helper',
+  });
+
+  await assert.rejects(() => cat.play('first', null, { signal: controller.signal }), { name: 'AbortError' });
+  await cat.play('second');
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user']
+  );
+});
+
+test('Kimten playStream honours timeoutMs', async () => {
+  const cat = Kimten({
+    brain: {
+      ...createStreamModel({ chunks: ['ok'] }),
+      async doStream(options) {
+        await new Promise((resolve, reject) => {
+          options.abortSignal?.addEventListener('abort', () => reject(options.abortSignal.reason));
+        });
+      },
+    },
+    personality: 'helper',
+  });
+
+  const stream = cat.playStream('hang', null, { timeoutMs: 20 });
+  await assert.rejects(() => stream.result, { name: 'TimeoutError' });
+  await assert.rejects(() => collect(stream), { name: 'TimeoutError' });
+});
+
+test('Kimten play returns run details when detailed is set', async () => {
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [{ toolName: 'add', input: { a: 1, b: 2 } }], text: '3' }),
+    personality: 'helper',
+    toys: {
+      add: {
+        inputSchema: z.object({ a: z.number(), b: z.number() }),
+        async execute({ a, b }) {
+          return a + b;
+        },
+      },
+    },
+  });
+
+  const out = await cat.play('1+2?', null, { detailed: true });
+
+  assert.equal(out.output, '3');
+  assert.equal(out.text, '3');
+  assert.equal(out.finishReason, 'stop');
+  assert.equal(out.steps.length, 2);
+  assert.equal(out.usage.totalTokens, 2);
+  assert.equal(out.totalUsage.totalTokens, 4);
+  assert.deepEqual(
+    out.toolCalls.map((call) => [call.toolName, call.input]),
+    [['add', { a: 1, b: 2 }]]
+  );
+  assert.deepEqual(
+    out.toolResults.map((result) => [result.toolName, result.output]),
+    [['add', 3]]
+  );
+});
+
+test('Kimten detailed results report hitting the hops limit', async () => {
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [{ toolName: 'noop', input: {} }], text: 'never' }),
+    personality: 'helper',
+    hops: 1,
+    toys: {
+      noop: {
+        async execute() {
+          return null;
+        },
+      },
+    },
+  });
+
+  const out = await cat.play('loop', null, { detailed: true });
+  assert.equal(out.finishReason, 'tool-calls');
+  assert.equal(out.steps.length, 1);
+  assert.equal(out.output, '');
+});
+
+test('Kimten detailed results carry structured box output', async () => {
+  const cat = Kimten({
+    brain: createFakeModel({ text: '{"name":"kim"}' }),
+    personality: 'helper',
+    box: z.object({ name: z.string() }),
+  });
+
+  const out = await cat.play('extract name', null, { detailed: true });
+  assert.deepEqual(out.output, { name: 'kim' });
+  assert.equal(out.text, '{"name":"kim"}');
+  assert.deepEqual(out.toolCalls, []);
+});
+
+test('Kimten playStream resolves run details when detailed is set', async () => {
+  const cat = Kimten({
+    brain: createStreamModel({ chunks: ['o', 'k'] }),
+    personality: 'helper',
+  });
+
+  const stream = cat.playStream('hi', null, { detailed: true });
+  const out = await stream.result;
+  assert.equal(out.output, 'ok');
+  assert.equal(out.finishReason, 'stop');
+  assert.equal(out.steps.length, 1);
+  assert.equal(out.totalUsage.totalTokens, 2);
+});
+
+test('Kimten play validates the detailed option', async () => {
+  const cat = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    personality: 'helper',
+  });
+
+  await assert.rejects(() => cat.play('hi', null, { detailed: 'yes' }), /"detailed" must be a boolean/i);
+});
+
+test('Kimten fires lifecycle hooks with name, step index and redacted payloads', async () => {
+  const events = [];
+  const record = (type) => (event) => events.push({ type, ...event });
+  const cat = Kimten({
+    brain: createToolCallModel({
+      toolCalls: [{ toolName: 'lookup', input: { user: 'kim', apiKey: 'sk-live' } }],
+      text: 'found',
+    }),
+    name: 'hook-cat',
+    personality: 'helper',
+    toys: {
+      lookup: {
+        async execute() {
+          return { id: 7, token: 'abc' };
+        },
+      },
+    },
+    hooks: {
+      onToolCall: record('toolCall'),
+      onToolResult: record('toolResult'),
+      onStepFinish: record('stepFinish'),
+      onFinish: record('finish'),
+    },
+  });
+
+  assert.equal(await cat.play('find kim'), 'found');
+
+  assert.deepEqual(
+    events.map((event) => [event.type, event.step]),
+    [
+      ['toolCall', 0],
+      ['toolResult', 0],
+      ['stepFinish', 0],
+      ['stepFinish', 1],
+      ['finish', undefined],
+    ]
+  );
+  assert.ok(events.every((event) => event.name === 'hook-cat'));
+
+  const [toolCall, toolResult, firstStep, , finish] = events;
+  assert.equal(toolCall.toolName, 'lookup');
+  assert.deepEqual(toolCall.args, { user: 'kim', apiKey: '[REDACTED]' });
+  assert.deepEqual(toolResult.result, { id: 7, token: '[REDACTED]' });
+  assert.equal(typeof toolResult.durationMs, 'number');
+  assert.equal(firstStep.finishReason, 'tool-calls');
+  assert.deepEqual(firstStep.toolCalls[0].args, { user: 'kim', apiKey: '[REDACTED]' });
+  assert.deepEqual(firstStep.toolResults[0].result, { id: 7, token: '[REDACTED]' });
+  assert.equal(finish.output, 'found');
+  assert.equal(finish.stepCount, 2);
+  assert.equal(finish.totalUsage.totalTokens, 4);
+});
+
+test('Kimten per-call hooks replace config hooks of the same name', async () => {
+  const seen = [];
+  const cat = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    personality: 'helper',
+    hooks: {
+      onFinish: () => seen.push('config-finish'),
+      onStepFinish: () => seen.push('config-step'),
+    },
+  });
+
+  await cat.play('hi', null, { hooks: { onFinish: () => seen.push('call-finish') } });
+  assert.deepEqual(seen, ['config-step', 'call-finish']);
+});
+
+test('Kimten swallows throwing hooks without corrupting memory or the queue', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    hooks: {
+      onStepFinish() {
+        throw new Error('hook boom');
+      },
+      async onFinish() {
+        throw new Error('async hook boom');
+      },
+    },
+  });
+
+  const [first, second] = await Promise.all([cat.play('one'), cat.play('two')]);
+  assert.equal(first, 'ok');
+  assert.equal(second, 'ok');
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user', 'assistant', 'user']
+  );
+});
+
+test('Kimten onError hook fires for failed calls', async () => {
+  const errors = [];
+  const cat = Kimten({
+    brain: {
+      ...createFakeModel({ text: 'ok' }),
+      async doGenerate() {
+        throw new Error('provider down');
+      },
+    },
+    name: 'err-cat',
+    personality: 'helper',
+    hooks: {
+      onError(event) {
+        errors.push(event);
+        throw new Error('ignored');
+      },
+    },
+  });
+
+  await assert.rejects(() => cat.play('hi'), /provider down/);
+  await assert.rejects(() => cat.play('hi', null, { foo: 1 }), /does not support option/);
+  assert.equal(errors.length, 2);
+  assert.equal(errors[0].name, 'err-cat');
+  assert.match(errors[0].error.message, /provider down/);
+  assert.match(errors[1].error.message, /does not support option/);
+});
+
+test('Kimten validates hooks in config and play options', async () => {
+  assert.throws(() => Kimten({ brain: {}, hooks: [] }), /"hooks" must be a plain object/i);
+  assert.throws(() => Kimten({ brain: {}, hooks: { onStart() {} } }), /does not support hook "onStart"/i);
+  assert.throws(() => Kimten({ brain: {}, hooks: { onFinish: 'x' } }), /hook "onFinish" must be a function/i);
+
+  const cat = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    personality: 'helper',
+  });
+  await assert.rejects(
+    () => cat.play('hi', null, { hooks: { onFinish: 1 } }),
+    /option "hooks" hook "onFinish" must be a function/i
+  );
+});
+
+test('isTransientError recognizes rate limits, server and network errors', () => {
+  assert.equal(isTransientError(createHttpError(429)), true);
+  assert.equal(isTransientError(createHttpError(503)), true);
+  assert.equal(isTransientError(createHttpError(400)), false);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })), true);
+  assert.equal(isTransientError(new TypeError('fetch failed')), true);
+  assert.equal(isTransientError({ name: 'AI_RetryError', lastError: createHttpError(502) }), true);
+  assert.equal(isTransientError(new DOMException('aborted', 'AbortError')), false);
+  assert.equal(isTransientError(new Error('bad request')), false);
+  assert.equal(isTransientError(null), false);
+});
+
+test('Kimten retry replays transient failures and succeeds', async () => {
+  const counter = {};
+  const prompts = [];
+  const model = createFlakyModel({ failures: 2, counter });
+  const cat = Kimten({
+    brain: {
+      ...model,
+      async doGenerate(options) {
+        prompts.push(options.prompt);
+        return model.doGenerate(options);
+      },
+    },
+    personality: 'helper',
+    retry: { attempts: 3, baseDelayMs: 1, maxDelayMs: 2 },
+  });
+
+  assert.equal(await cat.play('hi', { requestId: 'r1' }), 'ok');
+  assert.equal(counter.calls, 3);
+  assert.deepEqual(prompts[0], prompts[2]);
+});
+
+test('Kimten retry reports attempts when giving up', async () => {
+  const counter = {};
+  const cat = Kimten({
+    brain: createFlakyModel({ failures: 5, counter }),
+    personality: 'helper',
+    retry: { attempts: 2, baseDelayMs: 1, maxDelayMs: 1 },
+  });
+
+  await assert.rejects(
+    () => cat.play('hi'),
+    (error) => {
+      assert.ok(error instanceof KimtenRetryError);
+      assert.equal(error.attempts, 2);
+      assert.equal(error.cause.statusCode, 503);
+      assert.match(error.message, /after 2 attempts/);
+      return true;
+    }
+  );
+  assert.equal(counter.calls, 2);
+});
+
+test('Kimten retry turns off the SDK retries so attempts count model calls', async () => {
+  const sdkError = () => createSdkError(503);
+  const counter = {};
+  const cat = Kimten({
+    brain: createFlakyModel({ failures: 5, counter, makeError: sdkError }),
+    retry: { attempts: 2, baseDelayMs: 0 },
+  });
+  await assert.rejects(() => cat.play('hi'), KimtenRetryError);
+  assert.equal(counter.calls, 2);
+
+  const summaryCounter = {};
+  const summarizing = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    summaryBrain: createFlakyModel({ failures: 5, counter: summaryCounter, makeError: sdkError }),
+    memory: { maxMessages: 2 },
+    retry: { attempts: 2, baseDelayMs: 0 },
+  });
+  await summarizing.play('one');
+  await summarizing.play('two');
+  await summarizing.play('three'); // waits for the failed summary
+  assert.equal(summaryCounter.calls, 2);
+});
+
+test('Kimten retry skips non-transient errors and honours retryOn', async () => {
+  const counter = {};
+  const cat = Kimten({
+    brain: createFlakyModel({ failures: 1, counter, makeError: () => createHttpError(400, 'bad request') }),
+    personality: 'helper',
+    retry: { attempts: 3, baseDelayMs: 1 },
+  });
+  await assert.rejects(() => cat.play('hi'), /bad request/);
+  assert.equal(counter.calls, 1);
+
+  const customCounter = {};
+  const custom = Kimten({
+    brain: createFlakyModel({ failures: 1, counter: customCounter, makeError: () => new Error('quirky') }),
+    personality: 'helper',
+    retry: { attempts: 2, baseDelayMs: 1, retryOn: (error) => error.message === 'quirky' },
+  });
+  assert.equal(await custom.play('hi'), 'ok');
+  assert.equal(customCounter.calls, 2);
+});
+
+test('Kimten retry does not replay toys from finished steps unless opted in', async () => {
+  function buildCat(replayToys) {
+    const state = { toyRuns: 0, modelCalls: 0 };
+    const base = createToolCallModel({ toolCalls: [{ toolName: 'charge', input: {} }], text: 'done' });
+    const cat = Kimten({
+      brain: {
+        ...base,
+        async doGenerate(options) {
+          state.modelCalls += 1;
+          // Fail the follow-up step of the first attempt, after the toy ran.
+          if (state.modelCalls === 2) {
+            throw createHttpError(503);
+          }
+          return base.doGenerate(options);
+        },
+      },
+      personality: 'helper',
+      toys: {
+        charge: {
+          async execute() {
+            state.toyRuns += 1;
+            return 'charged';
+          },
+        },
+      },
+      retry: { attempts: 3, baseDelayMs: 1, replayToys },
+    });
+    return { cat, state };
+  }
+
+  const strict = buildCat(false);
+  await assert.rejects(() => strict.cat.play('charge it'), /HTTP 503/);
+  assert.equal(strict.state.toyRuns, 1);
+
+  const replaying = buildCat(true);
+  assert.equal(await replaying.cat.play('charge it'), 'done');
+  assert.equal(replaying.state.toyRuns, 2);
+});
+
+test('Kimten retry stops waiting when the call is aborted', async () => {
+  const counter = {};
+  const cat = Kimten({
+    brain: createFlakyModel({ failures: 5, counter }),
+    personality: 'helper',
+    retry: { attempts: 5, baseDelayMs: 10_000, maxDelayMs: 10_000 },
+  });
+
+  await assert.rejects(() => cat.play('hi', null, { timeoutMs: 20 }), { name: 'TimeoutError' });
+  assert.equal(counter.calls, 1);
+});
+
+test('Kimten retry applies to streams that have not emitted anything yet', async () => {
+  let streamCalls = 0;
+  const okModel = createStreamModel({ chunks: ['ok'] });
+  const cat = Kimten({
+    brain: {
+      ...okModel,
+      async doStream(options) {
+        streamCalls += 1;
+        if (streamCalls === 1) {
+          throw createHttpError(429);
+        }
+        return okModel.doStream(options);
+      },
+    },
+    personality: 'helper',
+    retry: { attempts: 2, baseDelayMs: 1 },
+  });
+
+  const stream = cat.playStream('hi');
+  assert.deepEqual(await collect(stream), [{ type: 'text', text: 'ok' }]);
+  assert.equal(await stream.result, 'ok');
+  assert.equal(streamCalls, 2);
+});
+
+test('Kimten validates retry config', () => {
+  assert.throws(() => Kimten({ brain: {}, retry: 3 }), /"retry" must be a plain object/i);
+  assert.throws(() => Kimten({ brain: {}, retry: { attempts: 0 } }), /"retry.attempts" must be a positive integer/i);
+  assert.throws(() => Kimten({ brain: {}, retry: { baseDelayMs: -1 } }), /"retry.baseDelayMs"/i);
+  assert.throws(() => Kimten({ brain: {}, retry: { maxDelayMs: 1.5 } }), /"retry.maxDelayMs"/i);
+  assert.throws(() => Kimten({ brain: {}, retry: { retryOn: true } }), /"retry.retryOn" must be a function/i);
+  assert.throws(() => Kimten({ brain: {}, retry: { replayToys: 'yes' } }), /"retry.replayToys" must be a boolean/i);
+});
+
+test('Kimten falls back to the next brain when the primary fails', async () => {
+  const primaryCounter = {};
+  const prompts = [];
+  const backup = createSpyModel({ text: 'from backup', prompts });
+  const finishes = [];
+  const cat = Kimten({
+    brain: [
+      createFlakyModel({ failures: 10, counter: primaryCounter, makeError: () => new Error('primary outage') }),
+      { ...backup, provider: 'backup-provider', modelId: 'backup-model' },
+    ],
+    personality: 'helper',
+    hooks: { onFinish: (event) => finishes.push(event) },
+  });
+
+  const out = await cat.play('hi', null, { detailed: true });
+  assert.equal(out.output, 'from backup');
+  assert.deepEqual(out.brain, { index: 1, provider: 'backup-provider', modelId: 'backup-model' });
+  assert.equal(finishes[0].brain.modelId, 'backup-model');
+  assert.equal(primaryCounter.calls, 1);
+
+  // Next turn starts from the primary again and memory holds the backup answer.
+  await assert.doesNotReject(() => cat.play('again'));
+  assert.deepEqual(
+    prompts[1].map((m) => m.role),
+    ['system', 'user', 'assistant', 'user']
+  );
+  assert.equal(primaryCounter.calls, 2);
+});
+
+test('Kimten retries each brain before falling back', async () => {
+  const primaryCounter = {};
+  const cat = Kimten({
+    brain: [createFlakyModel({ failures: 10, counter: primaryCounter }), createFakeModel({ text: 'backup' })],
+    personality: 'helper',
+    retry: { attempts: 2, baseDelayMs: 1 },
+  });
+
+  assert.equal(await cat.play('hi'), 'backup');
+  assert.equal(primaryCounter.calls, 2);
+});
+
+test('Kimten falls back without waiting for the SDK retries', async () => {
+  const primaryCounter = {};
+  const cat = Kimten({
+    brain: [
+      createFlakyModel({ failures: 10, counter: primaryCounter, makeError: () => createSdkError(503) }),
+      createFakeModel({ text: 'backup' }),
+    ],
+    personality: 'helper',
+  });
+
+  assert.equal(await cat.play('hi'), 'backup');
+  assert.equal(primaryCounter.calls, 1);
+});
+
+test('Kimten reports every brain failure when the whole chain fails', async () => {
+  const cat = Kimten({
+    brain: [
+      createFlakyModel({ failures: 10, makeError: () => new Error('first down') }),
+      createFlakyModel({ failures: 10, makeError: () => new Error('second down') }),
+    ],
+    personality: 'helper',
+  });
+
+  await assert.rejects(
+    () => cat.play('hi'),
+    (error) => {
+      assert.ok(error instanceof KimtenFallbackError);
+      assert.equal(error.errors.length, 2);
+      assert.match(error.message, /failed on 2 brains: second down/);
+      assert.match(error.cause.message, /second down/);
+      return true;
+    }
+  );
+});
+
+test('Kimten does not fall back once toys ran in a finished step', async () => {
+  let toyRuns = 0;
+  let primaryCalls = 0;
+  const base = createToolCallModel({ toolCalls: [{ toolName: 'charge', input: {} }], text: 'done' });
+  const cat = Kimten({
+    brain: [
+      {
+        ...base,
+        async doGenerate(options) {
+          primaryCalls += 1;
+          if (primaryCalls === 2) {
+            throw new Error('primary died mid-loop');
+          }
+          return base.doGenerate(options);
+        },
+      },
+      createFakeModel({ text: 'backup' }),
+    ],
+    personality: 'helper',
+    toys: {
+      charge: {
+        async execute() {
+          toyRuns += 1;
+          return 'charged';
+        },
+      },
+    },
+  });
+
+  await assert.rejects(() => cat.play('charge'), /primary died mid-loop/);
+  assert.equal(toyRuns, 1);
+});
+
+test('Kimten validates brain fallback chains', () => {
+  assert.throws(() => Kimten({ brain: [] }), /"brain" array must list one or more/i);
+  assert.throws(() => Kimten({ brain: [createFakeModel({ text: 'ok' }), null] }), /"brain" array/i);
+});
+
+test('Kimten stats accumulates tokens, plays, failures and toy calls', async () => {
+  let fail = false;
+  const base = createToolCallModel({ toolCalls: [{ toolName: 'add', input: { a: 1, b: 2 } }], text: '3' });
+  const cat = Kimten({
+    brain: {
+      ...base,
+      async doGenerate(options) {
+        if (fail) {
+          throw new Error('down');
+        }
+        return base.doGenerate(options);
+      },
+    },
+    name: 'stats-cat',
+    personality: 'helper',
+    toys: {
+      add: {
+        async execute({ a, b }) {
+          return a + b;
+        },
+      },
+    },
+  });
+
+  await cat.play('1+2');
+  await cat.play('again');
+  fail = true;
+  await assert.rejects(() => cat.play('boom'), /down/);
+
+  const stats = cat.stats();
+  assert.equal(stats.name, 'stats-cat');
+  assert.equal(stats.plays, 2);
+  assert.equal(stats.failures, 1);
+  assert.equal(stats.inputTokens, 4);
+  assert.equal(stats.outputTokens, 4);
+  assert.equal(stats.totalTokens, 8);
+  assert.deepEqual(stats.toyCalls, { add: 2 });
+  assert.deepEqual(stats.models, { tooly: { inputTokens: 4, outputTokens: 4, totalTokens: 8 } });
+  assert.equal(stats.cost, undefined);
+});
+
+test('Kimten stats estimates spend from a per-1K price table', async () => {
+  const cat = Kimten({
+    brain: [createFlakyModel({ failures: 1, makeError: () => new Error('x') }), createFakeModel({ text: 'ok' })],
+    personality: 'helper',
+  });
+
+  await cat.play('hi');
+  const priced = cat.stats({ prices: { fake: { input: 1000, output: 2000 } } });
+  assert.deepEqual(priced.cost, { total: 3, models: { fake: 3 }, unpriced: [] });
+
+  const unpriced = cat.stats({ prices: {} });
+  assert.deepEqual(unpriced.cost, { total: 0, models: {}, unpriced: ['fake'] });
+
+  assert.throws(() => cat.stats({ prices: [] }), /"prices" must be a plain object/i);
+  assert.throws(() => cat.stats({ prices: { fake: 1 } }), /price for "fake" must be an object/i);
+  assert.throws(() => cat.stats({ prices: { fake: { input: -1 } } }), /"fake.input" must be a non-negative number/i);
+  assert.throws(() => cat.stats('nope'), /expects options to be a plain object/i);
+});
+
+test('Kimten forget keeps stats unless resetStats is requested', async () => {
+  const cat = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    personality: 'helper',
+  });
+
+  await cat.play('hi');
+  cat.forget();
+  assert.equal(cat.stats().plays, 1);
+
+  cat.forget({ resetStats: true });
+  const stats = cat.stats();
+  assert.equal(stats.plays, 0);
+  assert.equal(stats.totalTokens, 0);
+  assert.deepEqual(stats.models, {});
+
+  assert.throws(() => cat.forget('default', []), /forget\(options\) expects options to be a plain object/i);
+  assert.throws(() => cat.forget({ resetStats: 1 }), /"resetStats" must be a boolean/i);
+});
+
+test('Kimten budget maxPlays and maxTotalTokens reject before calling the model', async () => {
+  const prompts = [];
+  const plays = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    budget: { maxPlays: 2 },
+  });
+
+  await plays.play('one');
+  await plays.play('two');
+  await assert.rejects(
+    () => plays.play('three'),
+    (error) =>
+      error instanceof KimtenBudgetError &&
+      error.budget === 'maxPlays' &&
+      error.limit === 2 &&
+      error.used === 2 &&
+      /budget "maxPlays" exhausted/.test(error.message)
+  );
+  assert.equal(prompts.length, 2);
+  assert.equal(plays.stats().failures, 1);
+
+  plays.forget({ resetStats: true });
+  assert.equal(await plays.play('fresh'), 'ok');
+
+  // Plays still in flight on other sessions count against the budget.
+  const counter = {};
+  const concurrent = Kimten({
+    brain: createSpyModel({ text: 'ok', counter }),
+    budget: { maxPlays: 1 },
+  });
+  const results = await Promise.allSettled(
+    ['a', 'b', 'c'].map((session) => concurrent.play('hi', null, { session }))
+  );
+  assert.deepEqual(
+    results.map((result) => result.status),
+    ['fulfilled', 'rejected', 'rejected']
+  );
+  assert.equal(counter.calls, 1);
+  assert.equal(concurrent.stats().plays, 1);
+
+  const tokens = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    personality: 'helper',
+    budget: { maxTotalTokens: 4 },
+  });
+
+  await tokens.play('one');
+  await tokens.play('two');
+  await assert.rejects(
+    () => tokens.play('three'),
+    (error) => error instanceof KimtenBudgetError && error.budget === 'maxTotalTokens' && error.used === 4
+  );
+});
+
+test('Kimten per-call maxTokens stops a runaway loop early and rejects', async () => {
+  const counter = {};
+  const cat = Kimten({
+    brain: createSpyModel({ toolCalls: () => [{ toolName: 'ping', input: {} }], counter }),
+    personality: 'helper',
+    hops: 10,
+    toys: {
+      ping: {
+        async execute() {
+          return 'pong';
+        },
+      },
+    },
+  });
+
+  await assert.rejects(
+    () => cat.play('loop', null, { maxTokens: 3 }),
+    (error) => error instanceof KimtenBudgetError && error.budget === 'maxTokens' && error.limit === 3 && error.used === 4
+  );
+  assert.equal(counter.calls, 2);
+  assert.equal(cat.stats().totalTokens, 4);
+});
+
+test('Kimten budget maxToolCalls cuts the loop after the step that used it up', async () => {
+  const calls = [];
+  const cat = Kimten({
+    brain: createToolCallModel({
+      toolCalls: [
+        { toolName: 'add', input: { a: 1, b: 2 } },
+        { toolName: 'add', input: { a: 3, b: 4 } },
+      ],
+      text: 'done',
+      calls,
+    }),
+    personality: 'helper',
+    budget: { maxToolCalls: 1 },
+    toys: {
+      add: {
+        async execute({ a, b }) {
+          return a + b;
+        },
+      },
+    },
+  });
+
+  await assert.rejects(
+    () => cat.play('add twice'),
+    (error) => error instanceof KimtenBudgetError && error.budget === 'maxToolCalls' && error.used === 2
+  );
+  assert.equal(calls.length, 1);
+});
+
+test('Kimten playStream rejects result when the call overran maxTokens', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createStreamModel({ chunks: ['hi'], prompts }),
+    personality: 'helper',
+  });
+
+  const stream = cat.playStream('hello', null, { maxTokens: 1 });
+  await assert.rejects(() => collect(stream), KimtenBudgetError);
+  await assert.rejects(() => stream.result, (error) => error.budget === 'maxTokens' && error.used === 2);
+
+  // Nothing was committed to memory.
+  await collect(cat.playStream('again'));
+  assert.equal(prompts[1].filter((m) => m.role === 'assistant').length, 0);
+});
+
+test('Kimten validates budget config and maxTokens option', async () => {
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, budget: 5 }), /"budget" must be a plain object/i);
+  assert.throws(() => Kimten({ brain, budget: { maxCost: 1 } }), /does not support "maxCost"/i);
+  assert.throws(() => Kimten({ brain, budget: { maxPlays: 0 } }), /"budget.maxPlays" must be a positive integer/i);
+  assert.throws(() => Kimten({ brain, budget: { maxTotalTokens: 1.5 } }), /"budget.maxTotalTokens"/i);
+
+  const cat = Kimten({ brain });
+  await assert.rejects(() => cat.play('hi', null, { maxTokens: 0 }), /"maxTokens" must be an integer >= 1/i);
+});
+
+function historyOf(prompt) {
+  return prompt
+    .filter((m) => m.role === 'user' || m.role === 'assistant')
+    .map((m) => (typeof m.content === 'string' ? m.content : m.content.map((part) => part.text).join('')));
+}
+
+test('Kimten sessions keep separate memory windows', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+  });
+
+  await cat.play('hi from a', null, { session: 'a' });
+  await cat.play('hi from b', null, { session: 'b' });
+  await cat.play('hi from default');
+  await cat.play('again a', null, { session: 'a' });
+
+  const history = historyOf(prompts[3]);
+  assert.equal(history.length, 3);
+  assert.equal(history[0], 'hi from a');
+  assert.equal(history[1], 'ok');
+  assert.ok(!history.some((text) => text.includes('from b') || text.includes('from default')));
+
+  await cat.play('again default', null, { session: 'default' });
+  assert.equal(historyOf(prompts[4])[0], 'hi from default');
+});
+
+test('Kimten sessions run concurrently but stay serial within a session', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createHangingModel({ prompts }),
+    personality: 'helper',
+  });
+  const controller = new AbortController();
+
+  const hung = cat.play('hang', null, { session: 'a', signal: controller.signal });
+  const queued = cat.play('after', null, { session: 'a' });
+  assert.equal(await cat.play('hi', null, { session: 'b' }), 'ok');
+
+  // Session "a" is still busy, so its second call has not reached the model.
+  assert.equal(prompts.length, 2);
+
+  controller.abort();
+  await assert.rejects(() => hung, { name: 'AbortError' });
+  assert.equal(await queued, 'ok');
+  assert.equal(prompts.length, 3);
+});
+
+test('Kimten forget(session) clears one session and forget() clears all', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+  });
+
+  await cat.play('one', null, { session: 'a' });
+  await cat.play('one', null, { session: 'b' });
+  cat.forget('a');
+  await cat.play('two', null, { session: 'a' });
+  await cat.play('two', null, { session: 'b' });
+  assert.equal(historyOf(prompts[2]).length, 1);
+  assert.equal(historyOf(prompts[3]).length, 3);
+
+  cat.forget();
+  await cat.play('three', null, { session: 'a' });
+  await cat.play('three', null, { session: 'b' });
+  assert.equal(historyOf(prompts[4]).length, 1);
+  assert.equal(historyOf(prompts[5]).length, 1);
+
+  assert.throws(() => cat.forget(''), /forget\(session\) expects session to be a non-empty string/i);
+  assert.throws(() => cat.forget(5), /forget\(session\)/i);
+});
+
+test('Kimten forget() waits for calls already queued on the session', async () => {
+  const cat = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}` }), sessions: { max: 1 } });
+
+  const playing = cat.play('in flight');
+  const forgetting = cat.forget('default'); // queued behind the play, so nothing survives
+  assert.equal(await playing, 'reply-1');
+  await forgetting;
+  assert.deepEqual((await cat.snapshot()).sessions, {});
+
+  cat.play('again');
+  await cat.forget();
+  assert.deepEqual((await cat.snapshot()).sessions, {});
+
+  // Forgetting a session that is not open does not evict the open one.
+  await cat.play('kept');
+  await cat.forget('elsewhere');
+  assert.equal((await cat.snapshot()).sessions.default.length, 2);
+});
+
+test('Kimten evicts idle sessions by LRU and TTL', async () => {
+  const prompts = [];
+  const lru = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    sessions: { max: 2 },
+  });
+
+  await lru.play('one', null, { session: 'a' });
+  await lru.play('one', null, { session: 'b' });
+  await lru.play('two', null, { session: 'a' }); // "a" is now the most recently used
+  await lru.play('one', null, { session: 'c' }); // evicts "b"
+  await lru.play('three', null, { session: 'a' });
+  await lru.play('two', null, { session: 'b' });
+  assert.equal(historyOf(prompts[4]).length, 5);
+  assert.equal(historyOf(prompts[5]).length, 1);
+
+  const ttlPrompts = [];
+  const ttl = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts: ttlPrompts }),
+    personality: 'helper',
+    sessions: { ttlMs: 10 },
+  });
+
+  await ttl.play('one', null, { session: 'a' });
+  await delay(25);
+  await ttl.play('one', null, { session: 'b' }); // sweeps idle "a"
+  await ttl.play('two', null, { session: 'a' });
+  assert.equal(historyOf(ttlPrompts[2]).length, 1);
+});
+
+test('Kimten validates session option and sessions config', async () => {
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, sessions: [] }), /"sessions" must be a plain object/i);
+  assert.throws(() => Kimten({ brain, sessions: { max: 0 } }), /"sessions.max" must be a positive integer/i);
+  assert.throws(() => Kimten({ brain, sessions: { ttlMs: -1 } }), /"sessions.ttlMs" must be a positive number/i);
+
+  const cat = Kimten({ brain });
+  await assert.rejects(() => cat.play('hi', null, { session: '' }), /"session" must be a non-empty string/i);
+  await assert.rejects(() => cat.play('hi', null, { session: 7 }), /"session" must be a non-empty string/i);
+});
+
+test('Kimten snapshot and restore round-trip memory through JSON', async () => {
+  const cat = Kimten({
+    brain: createFakeModel({ text: 'meow' }),
+    personality: 'helper',
+  });
+
+  await cat.play('hi');
+  await cat.play('hello', null, { session: 'u1' });
+
+  const saved = JSON.parse(JSON.stringify(await cat.snapshot()));
+  assert.deepEqual(saved, {
+    type: 'kimten.memory',
+    version: 1,
+    sessions: {
+      default: [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: 'meow' },
+      ],
+      u1: [
+        { role: 'user', content: 'hello' },
+        { role: 'assistant', content: 'meow' },
+      ],
+    },
+  });
+  assert.deepEqual(Object.keys((await cat.snapshot('u1')).sessions), ['u1']);
+  assert.deepEqual((await cat.snapshot('missing')).sessions, {});
+
+  const prompts = [];
+  const next = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+  });
+  await next.restore(saved);
+  await next.play('back again', null, { session: 'u1' });
+  assert.deepEqual(historyOf(prompts[0]), ['hello', 'meow', 'back again']);
+
+  // Restoring replaces listed sessions only.
+  await next.restore({ type: 'kimten.memory', version: 1, sessions: { u1: [] } });
+  const restored = await next.snapshot();
+  assert.deepEqual(restored.sessions.u1, []);
+  assert.equal(restored.sessions.default.length, 2);
+});
+
+test('Kimten restore() waits for calls already queued on the session', async () => {
+  const cat = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}` }) });
+  const saved = { type: 'kimten.memory', version: 1, sessions: { default: [{ role: 'user', content: 'saved' }] } };
+
+  const playing = cat.play('in flight');
+  const restoring = cat.restore(saved); // queued behind the play, so it wins
+  assert.equal(await playing, 'reply-1');
+  await restoring;
+  assert.deepEqual((await cat.snapshot()).sessions, saved.sessions);
+
+  const prompts = [];
+  const next = Kimten({ brain: createSpyModel({ text: 'ok', prompts }) });
+  next.restore(saved);
+  await next.play('after'); // queued behind the restore
+  assert.deepEqual(historyOf(prompts[0]), ['saved', 'after']);
+});
+
+test('Kimten restore validates snapshot structure, roles and version', async () => {
+  const cat = Kimten({ brain: createFakeModel({ text: 'ok' }) });
+  const valid = (sessions) => ({ type: 'kimten.memory', version: 1, sessions });
+
+  assert.throws(() => cat.restore(null), /snapshot object with type "kimten.memory"/i);
+  assert.throws(() => cat.restore({ version: 1, sessions: {} }), /type "kimten.memory"/i);
+  assert.throws(
+    () => cat.restore({ type: 'kimten.memory', version: 2, sessions: {} }),
+    /cannot read snapshot version 2; this Kimten reads version 1/i
+  );
+  assert.throws(() => cat.restore(valid([])), /"sessions" to be an object/i);
+  assert.throws(() => cat.restore(valid({ ' ': [] })), /session ids must be non-empty/i);
+  assert.throws(() => cat.restore(valid({ a: {} })), /sessions\["a"\] to be an array/i);
+  assert.throws(() => cat.restore(valid({ a: ['hi'] })), /sessions\["a"\]\[0\] to be a message object/i);
+  assert.throws(
+    () => cat.restore(valid({ a: [{ role: 'cat', content: 'meow' }] })),
+    /sessions\["a"\]\[0\]\.role must be one of: system, user, assistant, tool/i
+  );
+  assert.throws(
+    () => cat.restore(valid({ a: [{ role: 'user', content: 1 }] })),
+    /\.content must be a string or an array/i
+  );
+  assert.throws(() => cat.snapshot(''), /snapshot\(session\) expects session to be a non-empty string/i);
+
+  // A rejected snapshot leaves memory untouched.
+  assert.deepEqual((await cat.snapshot()).sessions, {});
+});
+
+function createRecordingStore({ delayMs = 0, failAdd = false, failList = false } = {}) {
+  const data = new Map();
+  const ops = [];
+  return {
+    ops,
+    data,
+    async add(session, messages) {
+      ops.push(['add', session, messages.length]);
+      await delay(delayMs);
+      if (failAdd) {
+        throw new Error('store down');
+      }
+      data.set(session, [...(data.get(session) ?? []), ...messages]);
+    },
+    async list(session) {
+      ops.push(['list', session]);
+      await delay(delayMs);
+      if (failList) {
+        throw new Error('store unreadable');
+      }
+      return data.get(session) ?? [];
+    },
+    async clear(session) {
+      ops.push(['clear', session]);
+      if (session === undefined) {
+        data.clear();
+      } else {
+        data.delete(session);
+      }
+    },
+    async trim(session, limit) {
+      ops.push(['trim', session, limit]);
+      data.set(session, (data.get(session) ?? []).slice(-limit));
+    },
+  };
+}
+
+test('Kimten awaits a custom memory store and commits one turn after success', async () => {
+  const store = createRecordingStore({ delayMs: 5 });
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    memory: store,
+  });
+
+  await cat.play('one', null, { session: 'u1' });
+  await cat.play('two', null, { session: 'u1' });
+
+  assert.deepEqual(historyOf(prompts[1]), ['one', 'ok', 'two']);
+  assert.deepEqual(store.ops.slice(0, 3), [
+    ['list', 'u1'],
+    ['add', 'u1', 2],
+    ['trim', 'u1', 10],
+  ]);
+
+  const failing = Kimten({
+    brain: createFlakyModel({ failures: 1, makeError: () => new Error('model down') }),
+    personality: 'helper',
+    memory: store,
+  });
+  await assert.rejects(() => failing.play('lost', null, { session: 'u2' }), /model down/);
+  assert.equal(store.data.has('u2'), false);
+
+  // Sessions the instance never opened are still readable through the store.
+  const other = Kimten({ brain: createFakeModel({ text: 'ok' }), memory: store });
+  assert.equal((await other.snapshot('u1')).sessions.u1.length, 4);
+
+  await other.forget();
+  assert.deepEqual(store.ops.at(-1), ['clear', undefined]);
+  assert.equal(store.data.size, 0);
+});
+
+test('Kimten forget() keeps later plays queued until a slow custom store has cleared', async () => {
+  const store = createRecordingStore();
+  const clear = store.clear;
+  store.clear = async (session) => {
+    await delay(session === undefined ? 30 : 0);
+    return clear(session);
+  };
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    memory: store,
+  });
+
+  await cat.play('one');
+  const forgetting = cat.forget();
+  await cat.play('two');
+  await cat.play('fresh', null, { session: 'new' });
+  await forgetting;
+
+  assert.deepEqual(historyOf(prompts[1]), ['two']);
+  assert.deepEqual(historyOf(prompts[2]), ['fresh']);
+  assert.equal(store.data.get('default').length, 2);
+  assert.equal(store.data.get('new').length, 2);
+});
+
+test('Kimten rejects the play when the memory store fails', async () => {
+  const prompts = [];
+  const unreadable = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    memory: createRecordingStore({ failList: true }),
+  });
+  await assert.rejects(() => unreadable.play('hi'), /store unreadable/);
+  assert.equal(prompts.length, 0);
+
+  const unwritable = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    memory: createRecordingStore({ failAdd: true }),
+  });
+  await assert.rejects(() => unwritable.play('hi'), /store down/);
+  assert.equal(unwritable.stats().plays, 0);
+  assert.equal(unwritable.stats().failures, 1);
+
+  const broken = Kimten({
+    brain: createFakeModel({ text: 'ok' }),
+    memory: { add() {}, list: () => 'nope', clear() {} },
+  });
+  await assert.rejects(() => broken.play('hi'), /list\(session\) must return an array/i);
+});
+
+test('Kimten validates the memory store config', () => {
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, memory: 5 }), /"memory" must be a store object/i);
+  assert.throws(() => Kimten({ brain, memory: [] }), /"memory" must be a store object/i);
+  assert.throws(() => Kimten({ brain, memory: { add() {}, clear() {} } }), /must implement list\(\)/i);
+  assert.throws(
+    () => Kimten({ brain, memory: { add() {}, list() {}, clear() {}, trim: 1 } }),
+    /trim must be a function/i
+  );
+  assert.throws(() => createJsonlStore({}), /expects dir to be a non-empty string/i);
+});
+
+test('createJsonlStore keeps conversations across instances on disk', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'kimten-jsonl-'));
+  try {
+    const store = createJsonlStore({ dir: join(dir, 'chats') });
+    assert.deepEqual(await store.list('nobody'), []);
+    await store.clear();
+
+    const first = Kimten({ brain: createFakeModel({ text: 'meow' }), memory: store });
+    await first.play('hello', null, { session: 'user/1' });
+
+    const prompts = [];
+    const second = Kimten({ brain: createSpyModel({ text: 'ok', prompts }), memory: store });
+    await second.play('remember me?', null, { session: 'user/1' });
+    assert.deepEqual(historyOf(prompts[0]), ['hello', 'meow', 'remember me?']);
+
+    // Partial trailing line from an interrupted write is ignored.
+    const file = join(dir, 'chats', `kimten-${encodeURIComponent('user/1')}.jsonl`);
+    await writeFile(file, '{"role":"user","content":"a"}\n{"role":"assis', { flag: 'w' });
+    assert.deepEqual(await store.list('user/1'), [{ role: 'user', content: 'a' }]);
+
+    await store.add('long', Array.from({ length: 12 }, (_, index) => ({ role: 'user', content: `m${index}` })));
+    await store.add('long', []);
+    await store.trim('long', 10);
+    await store.trim('long', 10);
+    const trimmed = await store.list('long');
+    assert.equal(trimmed.length, 10);
+    assert.equal(trimmed[0].content, 'm2');
+
+    await second.forget('long');
+    assert.deepEqual(await store.list('long'), []);
+
+    // Clearing everything removes only the store's own files.
+    const foreign = join(dir, 'chats', 'audit-log.jsonl');
+    await writeFile(foreign, '{"event":"login"}\n');
+    await second.forget();
+    assert.deepEqual(await store.list('user/1'), []);
+    assert.equal(await readFile(foreign, 'utf8'), '{"event":"login"}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('Kimten memory window trims oldest turns to fit a token budget', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    memory: { maxTokens: 20, estimator: (text) => text.length },
+  });
+
+  await cat.play('x'.repeat(30)); // a pasted document that alone blows the budget
+  await cat.play('hi');
+  await cat.play('yo');
+  await cat.play('sup');
+
+  // The newest turn is kept, cut down to the budget, until newer turns push it out.
+  assert.deepEqual(historyOf(prompts[1]), [`${'x'.repeat(6)}…(+24 chars)`, 'ok', 'hi']);
+  assert.deepEqual(historyOf(prompts[3]), ['hi', 'ok', 'yo', 'ok', 'sup']);
+
+  const defaultEstimator = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts: [] }),
+    memory: { maxTokens: 5 },
+  });
+  await defaultEstimator.play('a'.repeat(40));
+  assert.deepEqual((await defaultEstimator.snapshot()).sessions.default, [
+    { role: 'user', content: `${'a'.repeat(4)}…(+36 chars)` },
+    { role: 'assistant', content: 'ok' },
+  ]);
+  await defaultEstimator.play('tiny');
+  assert.deepEqual(
+    (await defaultEstimator.snapshot()).sessions.default.map((message) => message.content),
+    ['tiny', 'ok']
+  );
+
+  // Texts are capped to one shared size, so both sides of the turn survive in part.
+  const window = { maxMessages: 10, maxTokens: 150, estimator: (text) => text.length };
+  const [question, answer] = fitWindow(
+    [
+      { role: 'user', content: 'q'.repeat(400) },
+      { role: 'assistant', content: [{ type: 'text', text: 'short' }, { type: 'text', text: 'r'.repeat(100) }] },
+    ],
+    window
+  );
+  assert.equal(question.content, `${'q'.repeat(62)}…(+338 chars)`);
+  assert.deepEqual(answer.content, [
+    { type: 'text', text: 'short' },
+    { type: 'text', text: `${'r'.repeat(5)}…(+95 chars)` },
+  ]);
+  const untouched = [{ role: 'user', content: [{ type: 'image', image: 'x'.repeat(400) }] }];
+  assert.deepEqual(fitWindow(untouched, window), untouched);
+});
+
+test('Kimten memory window limits messages and applies to custom stores', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    memory: { maxMessages: 2 },
+  });
+  await cat.play('one');
+  await cat.play('two');
+  await cat.play('three');
+  assert.deepEqual(historyOf(prompts[2]), ['two', 'ok', 'three']);
+
+  const store = createRecordingStore();
+  store.data.set('default', [
+    { role: 'assistant', content: 'orphan' },
+    { role: 'user', content: 'old' },
+    { role: 'assistant', content: 'ok' },
+  ]);
+  const storePrompts = [];
+  const stored = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts: storePrompts }),
+    memory: { store, maxMessages: 4 },
+  });
+  await stored.play('new');
+  assert.deepEqual(historyOf(storePrompts[0]), ['old', 'ok', 'new']);
+  assert.deepEqual(store.ops.at(-1), ['trim', 'default', 4]);
+});
+
+test('Kimten validates memory window options', async () => {
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, memory: { maxMessages: 0 } }), /"memory.maxMessages" must be a positive integer/i);
+  assert.throws(() => Kimten({ brain, memory: { maxTokens: 1.5 } }), /"memory.maxTokens" must be a positive integer/i);
+  assert.throws(() => Kimten({ brain, memory: { estimator: 'chars' } }), /"memory.estimator" must be a function/i);
+  assert.throws(() => Kimten({ brain, memory: { maxTokens: 10, limit: 3 } }), /does not support "limit"/i);
+  assert.throws(() => Kimten({ brain, memory: { store: 5 } }), /"memory" must be a store object/i);
+
+  const cat = Kimten({ brain, memory: { store: null, maxTokens: 10, estimator: () => Number.NaN } });
+  await assert.rejects(() => cat.play('first'), /estimator must return a non-negative number/i);
+  assert.deepEqual((await cat.snapshot()).sessions.default, []);
+});
+
+function systemOf(prompt) {
+  return prompt.find((m) => m.role === 'system')?.content ?? '';
+}
+
+function promptText(prompt) {
+  return prompt
+    .map((m) => (typeof m.content === 'string' ? m.content : m.content.map((part) => part.text ?? '').join('')))
+    .join('\n');
+}
+
+test('Kimten folds evicted turns into a running summary with summaryBrain', async () => {
+  const prompts = [];
+  const summaryPrompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    memory: { maxMessages: 2 },
+    summaryBrain: createSpyModel({ text: (call) => ` SUM-${call} `, modelId: 'summary', prompts: summaryPrompts }),
+  });
+
+  await cat.play('write a haiku about cats');
+  await cat.play('shorter');
+  await cat.snapshot(); // waits for the background summary update
+  assert.equal(summaryPrompts.length, 1);
+  assert.match(promptText(summaryPrompts[0]), /user: write a haiku about cats\nassistant: ok/);
+  assert.doesNotMatch(systemOf(prompts[1]), /Summary of the earlier conversation/);
+
+  await cat.play('bullets');
+  assert.match(systemOf(prompts[2]), /^helper\n\nSummary of the earlier conversation:\nSUM-1$/);
+
+  const snapshot = await cat.snapshot();
+  assert.match(promptText(summaryPrompts[1]), /Existing summary:\nSUM-1/);
+  assert.deepEqual(snapshot.summaries, { default: 'SUM-2' });
+  assert.deepEqual(cat.stats().models.summary, { inputTokens: 2, outputTokens: 2, totalTokens: 4 });
+
+  await cat.forget();
+  await cat.play('new task');
+  assert.equal(systemOf(prompts[3]), 'helper');
+  assert.equal((await cat.snapshot()).summaries, undefined);
+
+  await cat.restore(snapshot);
+  await cat.play('continue');
+  assert.match(systemOf(prompts[4]), /SUM-2$/);
+});
+
+test('Kimten summarize: true uses the primary brain and survives summary failures', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'helper',
+    memory: { maxMessages: 2 },
+    summarize: true,
+  });
+  await cat.play('one');
+  await cat.play('two');
+  await cat.snapshot();
+  assert.match(systemOf(prompts[2]), /running summary/);
+
+  const summaryPrompts = [];
+  const flaky = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts: [] }),
+    memory: { maxMessages: 2 },
+    summaryBrain: createSpyModel({ text: (call) => ` SUM-${call} `, failures: 1, prompts: summaryPrompts }),
+  });
+  await flaky.play('one');
+  await flaky.play('two'); // evicts "one"; the summary call fails
+  await flaky.play('three'); // evicts "two"; retries with both
+  await flaky.play('four');
+  assert.match(promptText(summaryPrompts[1]), /user: one\nassistant: ok\nuser: two\nassistant: ok/);
+  assert.deepEqual((await flaky.snapshot()).summaries, { default: 'SUM-3' });
+
+  const off = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts: [] }),
+    summaryBrain: createSpyModel({ text: 'SUM' }),
+    summarize: false,
+    memory: { maxMessages: 2 },
+  });
+  await off.play('one');
+  await off.play('two');
+  assert.equal((await off.snapshot()).summaries, undefined);
+});
+
+test('Kimten bounds background summaries with the call signal and reports failures', async () => {
+  const errors = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok' }),
+    summaryBrain: createHangingModel({ prompts: [] }), // hangs on any prompt mentioning "hang"
+    memory: { maxMessages: 2 },
+    hooks: { onError: (event) => errors.push(event) },
+  });
+
+  await cat.play('please hang');
+  await cat.play('two', null, { timeoutMs: 20 }); // evicts "please hang"; its summary times out
+  assert.equal(await cat.play('three'), 'ok');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].summary, true);
+  assert.equal(errors[0].error.name, 'TimeoutError');
+
+  // "three" evicted "two" with no time limit, so this summary hangs; a waiting call still gives up on time.
+  await assert.rejects(cat.play('four', null, { timeoutMs: 20 }), { name: 'TimeoutError' });
+});
+
+test('Kimten validates summary config and snapshot summaries', async () => {
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, summarize: 'yes' }), /"summarize" must be a boolean/i);
+  assert.throws(() => Kimten({ brain, summaryBrain: 5 }), /"summaryBrain" must be an AI SDK model/i);
+
+  const cat = Kimten({ brain });
+  const base = { type: 'kimten.memory', version: 1, sessions: { a: [] } };
+  assert.throws(() => cat.restore({ ...base, summaries: [] }), /"summaries" to be an object/i);
+  assert.throws(() => cat.restore({ ...base, summaries: { b: 'x' } }), /summaries\["b"\] has no matching session/i);
+  assert.throws(() => cat.restore({ ...base, summaries: { a: 1 } }), /summaries\["a"\] must be a string/i);
+});
+
+test('Kimten memory.includeToolSteps keeps tool calls and results for later turns', async () => {
+  const calls = [];
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [{ toolName: 'add', input: { a: 1, b: 2 } }], text: '3', calls }),
+    toys: {
+      add: {
+        inputSchema: z.object({ a: z.number(), b: z.number() }),
+        async execute({ a, b }) {
+          return a + b;
+        },
+      },
+    },
+    memory: { includeToolSteps: true },
+  });
+
+  await cat.play('add 1 and 2');
+  await cat.play('and what did the toy return?');
+
+  const prompt = calls[2].prompt;
+  assert.deepEqual(
+    prompt.filter((m) => m.role !== 'system').map((m) => m.role),
+    ['user', 'assistant', 'tool', 'assistant', 'user']
+  );
+  assert.equal(prompt[2].content[0].type, 'tool-call');
+  assert.equal(prompt[3].content[0].toolCallId, prompt[2].content[0].toolCallId);
+
+  const { sessions } = await cat.snapshot();
+  assert.deepEqual(
+    sessions.default.map((m) => m.role),
+    ['user', 'assistant', 'tool', 'assistant', 'user', 'assistant']
+  );
+
+  const plain = Kimten({
+    brain: createToolCallModel({ toolCalls: [{ toolName: 'add', input: { a: 1, b: 2 } }], text: '3' }),
+    toys: {
+      add: {
+        async execute() {
+          return 3;
+        },
+      },
+    },
+  });
+  await plain.play('add 1 and 2');
+  assert.deepEqual((await plain.snapshot()).sessions.default, [
+    { role: 'user', content: 'add 1 and 2' },
+    { role: 'assistant', content: '3' },
+  ]);
+});
+
+test('Kimten memory.includeToolSteps evicts tool calls together with their results', async () => {
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [{ toolName: 'ping', input: {} }], text: 'pong' }),
+    toys: {
+      ping: {
+        async execute() {
+          return 'pong';
+        },
+      },
+    },
+    memory: { includeToolSteps: true, maxMessages: 6 },
+  });
+
+  await cat.play('ping'); // user, assistant (tool call), tool, assistant
+  await cat.play('again'); // tool results already in the prompt, so a plain reply
+  await cat.play('once more'); // evicts the whole first turn
+
+  const { sessions } = await cat.snapshot();
+  assert.deepEqual(
+    sessions.default.map((m) => m.role),
+    ['user', 'assistant', 'user', 'assistant']
+  );
+  assert.equal(sessions.default[0].content, 'again');
+
+  // A turn bigger than the window keeps its newest tool steps instead of vanishing.
+  const busyToys = {
+    ping: {
+      async execute() {
+        return 'pong';
+      },
+    },
+  };
+  const busyModel = () =>
+    createSpyModel({ text: 'done', toolCalls: (call) => (call <= 5 ? [{ toolName: 'ping', input: {} }] : []) });
+  const busy = Kimten({ brain: busyModel(), toys: busyToys, memory: { includeToolSteps: true } });
+  await busy.play('five pings'); // user, 5 x (assistant tool call, tool result), assistant = 12 messages
+  const busyMemory = (await busy.snapshot()).sessions.default;
+  assert.equal(busyMemory.length, 10);
+  assert.equal(busyMemory[0].content, 'five pings');
+  assert.deepEqual(
+    busyMemory.slice(1, -1).map((m) => `${m.role}:${m.content[0].toolCallId}`),
+    [2, 3, 4, 5].flatMap((step) => [`assistant:call-${step}-0`, `tool:call-${step}-0`])
+  );
+  assert.deepEqual(busyMemory.at(-1).content.map((part) => part.text), ['done']);
+
+  // Custom stores are never trimmed into the turn just added.
+  const store = createRecordingStore();
+  const stored = Kimten({ brain: busyModel(), toys: busyToys, memory: { store, includeToolSteps: true } });
+  await stored.play('five pings');
+  assert.deepEqual(store.ops.find((op) => op[0] === 'trim'), ['trim', 'default', 12]);
+  assert.equal((await stored.snapshot()).sessions.default.length, 10);
+
+  const stream = Kimten({
+    brain: createStreamModel({ chunks: ['Hel', 'lo'] }),
+    memory: { includeToolSteps: true },
+  });
+  await stream.playStream('hi').result;
+  const [, reply] = (await stream.snapshot()).sessions.default;
+  assert.equal(reply.role, 'assistant');
+  assert.deepEqual(reply.content.map((part) => part.text), ['Hello']);
+
+  assert.throws(
+    () => Kimten({ brain: createFakeModel({ text: 'ok' }), memory: { includeToolSteps: 'yes' } }),
+    /"memory.includeToolSteps" must be a boolean/i
+  );
+});
+
+test('Kimten undo() removes the newest turn once queued calls have settled', async () => {
+  const cat = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}` }) });
+
+  cat.play('one');
+  const second = cat.play('two');
+  assert.equal(await cat.undo(), true); // queued behind both plays
+  assert.equal(await second, 'reply-2');
+  assert.deepEqual((await cat.snapshot()).sessions.default, [
+    { role: 'user', content: 'one' },
+    { role: 'assistant', content: 'reply-1' },
+  ]);
+
+  assert.equal(await cat.undo(), true);
+  assert.equal(await cat.undo(), false);
+  assert.equal(await cat.undo('elsewhere'), false);
+  assert.throws(() => cat.undo(''), /undo\(session\) expects session to be a non-empty string/i);
+
+  const store = createRecordingStore();
+  const stored = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}` }), memory: store });
+  await stored.play('one', null, { session: 'u1' });
+  await stored.play('two', null, { session: 'u1' });
+  assert.equal(await stored.undo('u1'), true);
+  assert.deepEqual(store.data.get('u1'), [
+    { role: 'user', content: 'one' },
+    { role: 'assistant', content: 'reply-1' },
+  ]);
+  assert.equal(await stored.undo('u1'), true);
+  assert.equal(store.data.has('u1'), false);
+
+  // A store that fails while the remaining turns are written back keeps them all.
+  await stored.play('one', null, { session: 'u1' });
+  await stored.play('two', null, { session: 'u1' });
+  const add = store.add;
+  store.add = async () => {
+    store.add = add;
+    throw new Error('store down');
+  };
+  await assert.rejects(stored.undo('u1'), /store down/);
+  assert.equal(store.data.get('u1').length, 4);
+});
+
+test('Kimten retry() replaces the newest reply and reuses context only on request', async () => {
+  const prompts = [];
+  const cat = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}`, prompts }), personality: 'helper' });
+
+  await assert.rejects(cat.retry(), /no turn to retry in session "default"/i);
+  await cat.play('name a cat', { mood: 'silly' });
+
+  assert.equal(await cat.retry(), 'reply-2');
+  assert.deepEqual(historyOf(prompts[1]), ['name a cat']);
+  assert.equal(await cat.retry({ reuseContext: true }), 'reply-3');
+  assert.match(promptText(prompts[2]), /"mood": ?"silly"/);
+  assert.doesNotMatch(promptText(prompts[1]), /silly/);
+  assert.deepEqual((await cat.snapshot()).sessions.default, [
+    { role: 'user', content: 'name a cat' },
+    { role: 'assistant', content: 'reply-3' },
+  ]);
+
+  // A failed retry keeps the previous reply.
+  await assert.rejects(cat.retry({ signal: AbortSignal.abort() }));
+  assert.equal((await cat.snapshot()).sessions.default[1].content, 'reply-3');
+
+  const imageBytes = new Uint8Array([137, 80, 78, 71]);
+  await cat.play('what is this?', null, {
+    attachments: [{ kind: 'image', image: imageBytes, mediaType: 'image/png' }],
+  });
+  await cat.retry({ reuseContext: true });
+  const lastUser = prompts.at(-1).findLast((m) => m.role === 'user');
+  assert.equal(lastUser.content[1].mediaType, 'image/png');
+  await cat.retry();
+  assert.equal(prompts.at(-1).findLast((m) => m.role === 'user').content.length, 1);
+
+  await cat.restore({
+    type: 'kimten.memory',
+    version: 1,
+    sessions: { default: [{ role: 'user', content: [{ type: 'text', text: 'restored input' }] }] },
+  });
+  await cat.retry({ reuseContext: true });
+  assert.deepEqual(historyOf(prompts.at(-1)), ['restored input']);
+
+  await assert.rejects(cat.retry({ reuseContext: 'yes' }), /"reuseContext" must be a boolean/i);
+  await assert.rejects(cat.retry({ nope: true }), /does not support option "nope"/i);
+  assert.equal(cat.stats().plays, 7);
+});
+
+test('Kimten retry() replays a long input whole when the memory window cut it', async () => {
+  const input = `summarize: ${'lorem ipsum '.repeat(40)}`;
+  for (const store of [undefined, createRecordingStore()]) {
+    const prompts = [];
+    const cat = Kimten({
+      brain: createSpyModel({ text: 'ok', prompts }),
+      memory: { maxTokens: 20, ...(store ? { store } : {}) },
+    });
+    await cat.play(input, { tone: 'dry' });
+    assert.match(promptText((await cat.snapshot()).sessions.default), /…\(\+\d+ chars\)/);
+
+    await cat.retry({ reuseContext: true });
+    const replayed = promptText(prompts[1]);
+    assert.ok(replayed.includes(input.trim()));
+    assert.doesNotMatch(replayed, /…\(\+\d+ chars\)/);
+    assert.match(replayed, /"tone": ?"dry"/);
+  }
+});
+
+test('Kimten fork() branches with a copy of memory and config overrides', async () => {
+  const prompts = [];
+  const forkPrompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', prompts }),
+    personality: 'friendly',
+    memory: { maxMessages: 4 },
+  });
+  await cat.play('plan a trip');
+  await cat.play('to Kyoto', null, { session: 'u1' });
+
+  const strict = await cat.fork({ personality: 'strict' });
+  await strict.play('and the budget?');
+  assert.equal(systemOf(prompts[2]), 'strict');
+  assert.deepEqual(historyOf(prompts[2]), ['plan a trip', 'ok', 'and the budget?']);
+
+  // The parent's memory and stats are untouched by the branch.
+  assert.equal((await cat.snapshot()).sessions.default.length, 2);
+  assert.equal(cat.stats().plays, 2);
+  assert.equal(strict.stats().plays, 1);
+
+  const boxed = await cat.fork({
+    brain: createSpyModel({ text: '{"city":"Kyoto"}', prompts: forkPrompts }),
+    box: z.object({ city: z.string() }),
+  });
+  assert.deepEqual(await boxed.play('which city?', null, { session: 'u1' }), { city: 'Kyoto' });
+  assert.deepEqual(historyOf(forkPrompts[0]).slice(0, 2), ['to Kyoto', 'ok']);
+  assert.equal((await boxed.snapshot('u1')).sessions.u1.length, 4);
+
+  await boxed.play('one more', null, { session: 'u1' }); // inherited window of 4 messages
+  assert.deepEqual(
+    (await boxed.snapshot('u1')).sessions.u1.map((m) => m.content),
+    ['which city?', '{"city":"Kyoto"}', 'one more', '{"city":"Kyoto"}']
+  );
+
+  assert.throws(() => cat.fork('strict'), /fork\(overrides\) expects overrides to be a plain object/i);
+  assert.throws(() => cat.fork({ hops: 0 }), /"hops" must be a positive integer/i);
+});
+
+test('Kimten fork() never writes into the parent memory store', async () => {
+  const store = createRecordingStore();
+  const cat = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}` }), memory: store });
+  await cat.play('one');
+
+  const branch = await cat.fork();
+  await branch.play('two');
+  await branch.forget();
+
+  assert.deepEqual(store.data.get('default'), [
+    { role: 'user', content: 'one' },
+    { role: 'assistant', content: 'reply-1' },
+  ]);
+});
+
+test('Kimten fork() copies evicted sessions named in copy from the store', async () => {
+  const store = createRecordingStore();
+  const cat = Kimten({ brain: createSpyModel({ text: (call) => `reply-${call}` }), memory: store, sessions: { max: 1 } });
+  await cat.play('first', null, { session: 'a' });
+  await cat.play('second', null, { session: 'b' }); // evicts "a" from the open sessions
+
+  // Only open sessions are copied by default.
+  const openOnly = await cat.fork();
+  assert.deepEqual(Object.keys((await openOnly.snapshot()).sessions), ['b']);
+
+  const prompts = [];
+  const branch = await cat.fork({ brain: createSpyModel({ text: 'ok', prompts }) }, { copy: ['a', 'a', 'missing'] });
+  await branch.play('again?', null, { session: 'a' });
+  assert.deepEqual(historyOf(prompts[0]), ['first', 'reply-1', 'again?']);
+  assert.equal(store.data.get('a').length, 2);
+
+  const local = Kimten({ brain: createSpyModel({ text: 'ok' }) });
+  await local.play('hi', null, { session: 'x' });
+  assert.deepEqual(Object.keys((await (await local.fork({}, { copy: ['x', 'y'] })).snapshot()).sessions), ['x']);
+
+  assert.throws(() => cat.fork({}, 'a'), /fork\(overrides, options\) expects options to be a plain object/i);
+  assert.throws(() => cat.fork({}, { copy: 'a' }), /option "copy" must be an array of session ids/i);
+  assert.throws(() => cat.fork({}, { copy: [''] }), /fork\(overrides, \{ copy \}\) expects session to be a non-empty string/i);
+});
+
+test('Kimten repair sends box validation issues back and commits only the final output', async () => {
+  const prompts = [];
+  const cat = Kimten({
+    brain: createSpyModel({
+      text: ['{"name":"kim"}', 'sure! here it is', '{"name":"kim","age":3}'],
+      prompts,
+    }),
+    box: z.object({ name: z.string(), age: z.number() }),
+    repair: { attempts: 2 },
+  });
+
+  const out = await cat.play('describe the cat', null, { detailed: true });
+
+  assert.deepEqual(out.output, { name: 'kim', age: 3 });
+  assert.equal(out.attempts.length, 3);
+  assert.equal(out.attempts[0].text, '{"name":"kim"}');
+  assert.match(out.attempts[0].issues[0], /^age: /);
+  assert.deepEqual(out.attempts[1].issues, ['The reply is not valid JSON.']);
+  assert.deepEqual(out.attempts[2], { text: '{"name":"kim","age":3}', issues: [] });
+
+  const followUp = prompts[1].slice(-2);
+  assert.equal(followUp[0].role, 'assistant');
+  assert.equal(promptText([followUp[0]]), '{"name":"kim"}');
+  assert.match(promptText([followUp[1]]), /rejected because it does not match the schema:\n- age: /);
+  assert.match(promptText([followUp[1]]), /"age": number, "name": string/);
+
+  assert.deepEqual((await cat.snapshot()).sessions.default, [
+    { role: 'user', content: 'describe the cat' },
+    { role: 'assistant', content: '{"name":"kim","age":3}' },
+  ]);
+  assert.equal(cat.stats().plays, 1);
+  assert.equal(cat.stats().totalTokens, 6);
+});
+
+test('Kimten repair runs on the same brain before falling back and never replays toys', async () => {
+  const backup = {};
+  const chain = Kimten({
+    brain: [
+      createSpyModel({ text: ['{}', '{"age":3}'], modelId: 'primary' }),
+      createSpyModel({ text: '{"age":9}', modelId: 'backup', counter: backup }),
+    ],
+    box: z.object({ age: z.number() }),
+    repair: { attempts: 1 },
+  });
+  const run = await chain.play('age?', null, { detailed: true });
+  assert.deepEqual(run.output, { age: 3 });
+  assert.equal(run.brain.modelId, 'primary');
+  assert.equal(backup.calls, 0);
+
+  // A repair that would go over budget ends the turn instead of falling back.
+  for (const [config, options] of [
+    [{}, { maxTokens: 1 }],
+    [{ budget: { maxTotalTokens: 1 } }, {}],
+  ]) {
+    const spare = {};
+    const capped = Kimten({
+      brain: [
+        createSpyModel({ text: '{}', modelId: 'primary' }),
+        createSpyModel({ text: '{"age":9}', modelId: 'backup', counter: spare }),
+      ],
+      box: z.object({ age: z.number() }),
+      repair: { attempts: 2 },
+      ...config,
+    });
+    await assert.rejects(capped.play('age?', null, options), KimtenBudgetError);
+    assert.equal(spare.calls ?? 0, 0);
+  }
+
+  function buildCat(replayToys) {
+    const state = { toyRuns: 0, counter: {} };
+    const cat = Kimten({
+      brain: createSpyModel({
+        text: ['', '{}', '{"age":3}'],
+        toolCalls: (call) => (call === 1 ? [{ toolName: 'lookup', input: {} }] : []),
+        counter: state.counter,
+      }),
+      box: z.object({ age: z.number() }),
+      toys: {
+        lookup: {
+          async execute() {
+            state.toyRuns += 1;
+            return 'age 3';
+          },
+        },
+      },
+      repair: { attempts: 1 },
+      ...(replayToys ? { retry: { attempts: 1, replayToys } } : {}),
+    });
+    return { cat, state };
+  }
+
+  const strict = buildCat(false);
+  await assert.rejects(strict.cat.play('age?'), (error) => error.name === 'AI_NoObjectGeneratedError');
+  assert.equal(strict.state.counter.calls, 2);
+  assert.equal(strict.state.toyRuns, 1);
+
+  const replaying = buildCat(true);
+  assert.deepEqual(await replaying.cat.play('age?'), { age: 3 });
+  assert.equal(replaying.state.counter.calls, 3);
+});
+
+test('Kimten repair gives up after its attempts and leaves memory untouched', async () => {
+  const prompts = [];
+  const box = z.object({ age: z.number() });
+  const cat = Kimten({ brain: createSpyModel({ text: '{}', prompts }), box, repair: { attempts: 1 } });
+  await assert.rejects(cat.play('age?'), (error) => error.name === 'AI_NoObjectGeneratedError');
+  assert.equal(prompts.length, 2);
+  assert.deepEqual((await cat.snapshot()).sessions.default, []);
+
+  const noRepair = Kimten({ brain: createSpyModel({ text: '{}' }), box });
+  await assert.rejects(noRepair.play('age?'), /did not match schema/i);
+
+  const capped = Kimten({
+    brain: createSpyModel({ text: '{}' }),
+    box,
+    repair: { attempts: 3 },
+    budget: { maxTotalTokens: 2 },
+  });
+  await assert.rejects(capped.play('age?'), KimtenBudgetError);
+
+  const nested = Kimten({
+    brain: createSpyModel({ text: ['[]', '{"tags":[1]}', '{"tags":["a"]}'] }),
+    box: z.object({ tags: z.array(z.string()) }),
+    repair: { attempts: 2 },
+  });
+  const { attempts } = await nested.play('tags?', null, { detailed: true });
+  assert.match(attempts[0].issues[0], /^\(root\): /);
+  assert.match(attempts[1].issues[0], /^tags\[0\]: /);
+
+  const counter = {};
+  const down = Kimten({ brain: createFlakyModel({ failures: 5, counter }), box, repair: { attempts: 3 } });
+  await assert.rejects(down.play('age?'), /HTTP 503/);
+  assert.equal(counter.calls, 1);
+
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, repair: 2 }), /"repair" must be a plain object/i);
+  assert.throws(() => Kimten({ brain, repair: { attempts: 0 } }), /"repair.attempts" must be a positive integer/i);
+  assert.throws(() => Kimten({ brain, repair: { tries: 1 } }), /does not support "tries"/i);
+  assert.equal((await Kimten({ brain, repair: {} }).play('hi', null, { detailed: true })).attempts, undefined);
+});
+
+test('Kimten box supports arrays, choices and primitive values', async () => {
+  const prompts = [];
+  const lister = Kimten({
+    brain: createSpyModel({ text: '{"elements":[{"name":"kim"},{"name":"tom"}]}', prompts }),
+    box: z.array(z.object({ name: z.string() })),
+  });
+  assert.deepEqual(await lister.play('list the cats'), [{ name: 'kim' }, { name: 'tom' }]);
+  assert.match(promptText(prompts[0]), /\{ "elements": \{ "name": string \}\[\] \}/);
+
+  const classifier = Kimten({
+    brain: createSpyModel({ text: '{"result":"spam"}', prompts }),
+    box: z.enum(['spam', 'ham']),
+  });
+  assert.equal(await classifier.play('buy now!!!'), 'spam');
+  assert.match(promptText(prompts[1]), /\{ "result": "spam" \| "ham" \}/);
+
+  const literals = Kimten({
+    brain: createFakeModel({ text: '{"result":"no"}' }),
+    box: z.union([z.literal('yes'), z.literal('no')]),
+  });
+  assert.equal(await literals.play('is it?'), 'no');
+
+  const counter = Kimten({ brain: createSpyModel({ text: '{"value":3}', prompts }), box: z.number().int() });
+  assert.equal(await counter.play('how many cats?'), 3);
+  assert.match(promptText(prompts[2]), /\{ "value": number \(integer\) \}/);
+
+  const flag = Kimten({ brain: createFakeModel({ text: '{"value":false}' }), box: z.boolean() });
+  assert.equal(await flag.play('is it raining?'), false);
+
+  const mixed = Kimten({
+    brain: createFakeModel({ text: '{"value":2}' }),
+    box: z.union([z.literal('none'), z.literal(2)]),
+  });
+  assert.equal(await mixed.play('pick'), 2);
+});
+
+test('Kimten non-object box outputs reject invalid replies and stream unwrapped partials', async () => {
+  const shortList = Kimten({
+    brain: createSpyModel({ text: ['{"elements":[]}', '{"elements":["a"]}'] }),
+    box: z.array(z.string()).min(1),
+    repair: { attempts: 1 },
+  });
+  const run = await shortList.play('tags?', null, { detailed: true });
+  assert.deepEqual(run.output, ['a']);
+  assert.equal(run.attempts.length, 2);
+
+  const choice = Kimten({ brain: createFakeModel({ text: '{"result":"maybe"}' }), box: z.enum(['yes', 'no']) });
+  await assert.rejects(choice.play('is it?'), /did not match schema/i);
+
+  const unwrapped = Kimten({ brain: createFakeModel({ text: '3' }), box: z.number() });
+  await assert.rejects(unwrapped.play('count'), /did not match schema/i);
+
+  const wrong = Kimten({ brain: createFakeModel({ text: '{"value":"three"}' }), box: z.number() });
+  await assert.rejects(wrong.play('count'), /did not match schema/i);
+
+  const stream = Kimten({
+    brain: createStreamModel({ chunks: ['{"value":', '"hel', 'lo"}'] }),
+    box: z.string(),
+  }).playStream('greet');
+  const partials = (await collect(stream)).filter((event) => event.type === 'partial').map((event) => event.output);
+  assert.equal(partials.at(-1), 'hello');
+  assert.equal(await stream.result, 'hello');
+
+  const listStream = Kimten({
+    brain: createStreamModel({ chunks: ['{"elements":["a",', '"b"]}'] }),
+    box: z.array(z.string()),
+  }).playStream('letters');
+  const listPartials = (await collect(listStream)).filter((event) => event.type === 'partial');
+  assert.deepEqual(listPartials.at(-1).output, ['a', 'b']);
+  assert.deepEqual(await listStream.result, ['a', 'b']);
+});
+
+test('Kimten schemaHint picks how the box is described in prompts', async () => {
+  const box = z.object({ age: z.number() });
+  const hintOf = async (schemaHint) => {
+    const prompts = [];
+    const cat = Kimten({ brain: createSpyModel({ text: '{"age":3}', prompts }), box, schemaHint });
+    assert.deepEqual(await cat.play('how old?'), { age: 3 });
+    return promptText(prompts[0]);
+  };
+
+  assert.match(await hintOf(undefined), /schema \(field names\/types required\): \{ "age": number \}/);
+  assert.match(await hintOf('jsonschema'), /"properties":\{"age":\{"type":"number"\}\}/);
+  assert.doesNotMatch(await hintOf('none'), /Return ONLY/);
+  assert.match(await hintOf((schema) => `Reply as JSON with ${Object.keys(schema.shape).join(', ')}.`), /Reply as JSON with age\./);
+
+  const prompts = [];
+  const repairing = Kimten({
+    brain: createSpyModel({ text: ['{"age":"old"}', '{"age":9}'], prompts }),
+    box,
+    schemaHint: 'none',
+    repair: { attempts: 1 },
+  });
+  assert.deepEqual(await repairing.play('how old?'), { age: 9 });
+  assert.doesNotMatch(promptText(prompts[1]), /Return ONLY/);
+  assert.match(promptText(prompts[1]), /rejected because it does not match the schema:\n- age: /);
+
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, box, schemaHint: 'yaml' }), /"schemaHint" must be one of: compact, jsonschema, none/);
+  const broken = Kimten({ brain: createFakeModel({ text: '{"age":1}' }), box, schemaHint: () => null });
+  await assert.rejects(broken.play('how old?'), /"schemaHint" function must return a string/);
+});
+
+test('Kimten redact config applies to context and toy payloads in hooks', async () => {
+  const calls = [];
+  const toolEvents = [];
+  const cat = Kimten({
+    brain: createToolCallModel({
+      toolCalls: [{ toolName: 'lookup', input: { user: 'kim', customerId: 'c-9' } }],
+      text: 'found',
+      calls,
+    }),
+    toys: {
+      lookup: {
+        async execute() {
+          return { id: 7, note: 'use Bearer abcdefgh12345678', token: 'abc' };
+        },
+      },
+    },
+    redact: { keys: ['customerId'], allow: ['token'] },
+    hooks: {
+      onToolCall: (event) => toolEvents.push(event.args),
+      onToolResult: (event) => toolEvents.push(event.result),
+    },
+  });
+
+  await cat.play('find kim', { customer_id: 'c-9', tokenCount: 3, token: 'visible' });
+  const userText = promptText(calls[0].prompt);
+  assert.match(userText, /"customer_id": "\[REDACTED\]"/);
+  assert.match(userText, /"tokenCount": 3/);
+  assert.match(userText, /"token": "visible"/);
+  assert.deepEqual(toolEvents, [
+    { user: 'kim', customerId: '[REDACTED]' },
+    { id: 7, note: 'use [REDACTED]', token: 'abc' },
+  ]);
+
+  assert.throws(() => Kimten({ brain: createFakeModel({ text: 'ok' }), redact: 'on' }), /"redact" must be a boolean/);
+});
+
+test('createRedactor redacts values for your own logs', () => {
+  const redactForLogs = createRedactor({ keys: ['email'] });
+  assert.deepEqual(redactForLogs({ email: 'kim@example.com', apiKey: 'k', count: 1n }), {
+    email: '[REDACTED]',
+    apiKey: '[REDACTED]',
+    count: '1',
+  });
+  assert.equal(createRedactor()('Bearer abcdefgh12345678'), '[REDACTED]');
+  assert.equal(createRedactor()(undefined), undefined);
+  const failing = createRedactor({
+    redactor() {
+      throw new Error('boom');
+    },
+  });
+  assert.equal(failing({ a: 1 }), '[object Object]');
+  assert.throws(() => createRedactor({ keys: [1] }), /"redact.keys" must be an array/);
+});
+
+test('Kimten contextLimit fits context by priority and reports elided paths', async () => {
+  const calls = [];
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [], text: 'ok', calls }),
+    contextLimit: { chars: 300, priorities: ['requestId', 'user.id'] },
+  });
+  const context = {
+    requestId: 'req-1',
+    user: { id: 'u-1', bio: 'b'.repeat(400) },
+    history: Array.from({ length: 30 }, (_, index) => ({ step: index })),
+    debug: { trace: 't'.repeat(150) },
+  };
+
+  const run = await cat.play('hi', context, { detailed: true });
+  const text = promptText(calls[0].prompt);
+  const fitted = JSON.parse(text.slice(text.indexOf('{'), text.indexOf('\n\nUser message:')));
+  assert.equal(fitted.requestId, 'req-1');
+  assert.equal(fitted.user.id, 'u-1');
+  assert.deepEqual(fitted.history, [{ step: 0 }, '…+29 items']);
+  assert.deepEqual(run.contextElided, ['user.bio', 'history', 'debug.trace']);
+  assert.equal(context.history.length, 30);
+
+  const small = await cat.play('hi', { a: 1 }, { detailed: true });
+  assert.deepEqual(small.contextElided, []);
+  assert.equal((await cat.play('hi', null, { detailed: true })).contextElided, undefined);
+
+  const tiny = Kimten({ brain: createFakeModel({ text: 'ok' }), contextLimit: 20 });
+  assert.deepEqual((await tiny.play('hi', { note: 'n'.repeat(50) }, { detailed: true })).contextElided, ['note']);
+
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, contextLimit: 0 }), /"contextLimit.chars" must be a positive integer/);
+  assert.throws(() => Kimten({ brain, contextLimit: '4k' }), /"contextLimit" must be a positive integer or a plain object/);
+  assert.throws(() => Kimten({ brain, contextLimit: { max: 1 } }), /"contextLimit" does not support "max"/);
+  assert.throws(() => Kimten({ brain, contextLimit: { priorities: 'id' } }), /"contextLimit.priorities" must be an array/);
+});
+
+test('Kimten contextFormat renders redacted context in the chosen format', async () => {
+  const calls = [];
+  const cat = Kimten({ brain: createToolCallModel({ toolCalls: [], text: 'ok', calls }), contextFormat: 'yaml' });
+  await cat.play('hi', { user: { id: 'u-1', password: 'p' }, tags: ['a'] });
+  assert.ok(
+    promptText(calls[0].prompt).endsWith(
+      'Context (YAML):\nuser:\n  id: u-1\n  password: "[REDACTED]"\ntags:\n  - a\n\nUser message:\nhi'
+    )
+  );
+
+  const customCalls = [];
+  const custom = Kimten({
+    brain: createToolCallModel({ toolCalls: [], text: 'ok', calls: customCalls }),
+    contextFormat: (context) => `<ctx>${Object.keys(context).join(',')}</ctx>`,
+  });
+  await custom.play('hi', { a: 1, b: 2 });
+  assert.match(promptText(customCalls[0].prompt), /\nContext:\n<ctx>a,b<\/ctx>\n\nUser message:\nhi/);
+
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, contextFormat: 'toml' }), /"contextFormat" must be one of: json, yaml, xml, markdown/);
+});
+
+test('Kimten context config is merged under per-call context', async () => {
+  const calls = [];
+  let version = 0;
+  const cat = Kimten({
+    brain: createToolCallModel({ toolCalls: [], text: 'ok', calls }),
+    context: async () => ({ repo: 'kimten', user: { locale: 'en', role: 'viewer' }, version: (version += 1) }),
+    contextBuiltins: ['today'],
+  });
+
+  const run = await cat.play('hi', { user: { role: 'admin' } }, { detailed: true });
+  const text = promptText(calls[0].prompt);
+  const sent = JSON.parse(text.slice(text.indexOf('{'), text.indexOf('\n\nUser message:')));
+  assert.deepEqual(Object.keys(sent), ['today', 'repo', 'user', 'version']);
+  assert.match(sent.today, /^\d{4}-\d{2}-\d{2}$/);
+  assert.deepEqual(sent.user, { locale: 'en', role: 'admin' });
+  assert.deepEqual(run.contextElided, []);
+
+  await cat.play('again');
+  assert.match(promptText(calls[1].prompt), /"version": 2/);
+
+  const plainCalls = [];
+  const plain = Kimten({
+    brain: createToolCallModel({ toolCalls: [], text: 'ok', calls: plainCalls }),
+    context: { repo: 'kimten', token: 'secret-value' },
+  });
+  await plain.play('hi');
+  assert.match(promptText(plainCalls[0].prompt), /"repo": "kimten",\n  "token": "\[REDACTED\]"/);
+  await assert.rejects(plain.play('hi', 'not an object'), /expects context to be a plain object/);
+
+  const bad = Kimten({ brain: createFakeModel({ text: 'ok' }), context: () => 'nope' });
+  await assert.rejects(bad.play('hi'), /"context" function must return a plain object/);
+
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, context: 'repo=kimten' }), /"context" must be a plain object or a function/);
+  assert.throws(() => Kimten({ brain, contextBuiltins: ['weather'] }), /"contextBuiltins" must be a boolean or an array of: now, today, timezone/);
+  const all = Kimten({ brain: createToolCallModel({ toolCalls: [], text: 'ok', calls }), contextBuiltins: true });
+  await all.play('hi');
+  assert.match(promptText(calls[2].prompt), /"now": ".*",\n  "today": ".*",\n  "timezone": /);
+});
+
+test('Kimten playTemplate renders, validates and remembers the rendered input', async () => {
+  const calls = [];
+  const cat = Kimten({
+    brain: createSpyModel({ text: 'ok', calls }),
+    templates: {
+      summary: 'Summarize {{file}} in {{ n }} bullets',
+      triage: { text: 'Triage {{id}} with labels {{labels}}', schema: z.object({ id: z.string(), labels: z.array(z.string()).default([]) }) },
+    },
+  });
+
+  assert.equal(await cat.playTemplate('summary', { file: 'README.md', n: 3 }, { repo: 'kimten' }), 'ok');
+  assert.match(promptText(calls[0].prompt), /Context \(JSON\):\n\{\n  "repo": "kimten"\n\}\n\nUser message:\nSummarize README.md in 3 bullets$/);
+
+  const run = await cat.playTemplate('triage', { id: 'T-1' }, null, { detailed: true });
+  assert.equal(run.output, 'ok');
+  assert.ok(promptText(calls[1].prompt).endsWith('Triage T-1 with labels []'));
+
+  const saved = await cat.snapshot();
+  assert.deepEqual(
+    saved.sessions.default.filter((message) => message.role === 'user').map((message) => message.content),
+    ['Summarize README.md in 3 bullets', 'Triage T-1 with labels []']
+  );
+
+  await assert.rejects(cat.playTemplate('summary', { file: 'a.md' }), /playTemplate\("summary"\) is missing variables: n\./);
+  await assert.rejects(
+    cat.playTemplate('summary', { file: 'a.md', n: 1, tone: 'dry' }),
+    /playTemplate\("summary"\) got unknown variables: tone\./
+  );
+  await assert.rejects(
+    cat.playTemplate('triage', { id: 7 }),
+    /playTemplate\("triage"\) variables do not match the schema: id: /
+  );
+  await assert.rejects(cat.playTemplate('summary', 'file=a.md'), /expects vars to be a plain object/);
+  await assert.rejects(cat.playTemplate('nope', {}), /found no template "nope"\. Known templates: summary, triage\./);
+  await assert.rejects(
+    Kimten({ brain: createFakeModel({ text: 'ok' }) }).playTemplate('summary', {}),
+    /No templates are configured/
+  );
+  assert.equal(calls.length, 2);
+
+  const brain = createFakeModel({ text: 'ok' });
+  assert.throws(() => Kimten({ brain, templates: ['a'] }), /"templates" must be an object map/);
+  assert.throws(() => Kimten({ brain, templates: { a: 1 } }), /"templates.a" must be a string or a \{ text, schema \} object/);
+  assert.throws(() => Kimten({ brain, templates: { a: { text: '' } } }), /"templates.a.text" must be a non-empty string/);
+  assert.throws(() => Kimten({ brain, templates: { a: { text: 'x', vars: {} } } }), /"templates.a" does not support "vars"/);
+  assert.throws(() => Kimten({ brain, templates: { a: { text: 'x', schema: {} } } }), /"templates.a.schema" must be a Zod schema/);
+});